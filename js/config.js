@@ -9,7 +9,9 @@ const CONFIG = {
         DEFAULT_WIDTH: 7,
         DEFAULT_HEIGHT: 8,
         TILE_SIZE: 48,
-        GAP: 4
+        GAP: 4,
+        MIN_SIZE: 3,
+        MAX_SIZE: 12
     },
     
     // Tile Types
@@ -21,28 +23,101 @@ const CONFIG = {
         YELLOW: 'yellow',
         PURPLE: 'purple',
         STONE: 'stone',
+        CRACKABLE: 'crackable',
+        CRATE: 'crate',
         ICE: 'ice',
         LOCKED: 'locked',
+        CHAIN: 'chain',
+        SLIME: 'slime',
         EXIT: 'exit',
         CHARACTER: 'character'
     },
     
     // Matchable tile colors (regular tiles only)
     MATCHABLE_COLORS: ['red', 'blue', 'green', 'yellow', 'purple'],
+
+    // One-letter codes for colors in level layouts ('.' = random)
+    TILE_CODES: {
+        R: 'red',
+        B: 'blue',
+        G: 'green',
+        Y: 'yellow',
+        P: 'purple'
+    },
     
     // Special tile types created from matches
     SPECIAL_TILES: {
         LINE_H: 'line-h',     // 4-match horizontal - clears row
         LINE_V: 'line-v',     // 4-match vertical - clears column
-        BOMB: 'bomb'          // 5+ match - clears 3x3 area
+        BOMB: 'bomb',         // L/T/plus shape - clears 3x3 area
+        COLOR_BOMB: 'color-bomb'  // Straight 5+ match - clears every tile of one color
+    },
+
+    // Combined effects from swapping two special tiles together
+    SPECIAL_COMBOS: {
+        CROSS: 'cross',           // line + line - clears row and column
+        BIG_LINE: 'big-line',     // line + bomb - clears 3 rows and 3 columns
+        BIG_BOMB: 'big-bomb',     // bomb + bomb - clears 5x5 area
+        BOARD_CLEAR: 'board-clear' // color bomb + color bomb - clears the whole board
     },
     
+    // Breakable blockers - crackable stones, crates and slime are blocker tiles,
+    // chains sit on a colored tile (plain stones never break)
+    BLOCKERS: {
+        DEFAULT_HITS: {
+            crackable: 3,
+            crate: 1,
+            chain: 1,
+            slime: 1
+        },
+        MAX_HITS: 5,
+        MAX_ICE_LAYERS: 3
+    },
+
+    // Trapped characters
+    CHARACTERS: {
+        MAX: 4                 // Characters (and exits) a level may have
+    },
+
+    // Hazards that grow at the end of a turn (rising water, spreading slime)
+    HAZARDS: {
+        DEFAULT_EVERY: 3       // Moves between growths when a hazard doesn't set every
+    },
+
+    // Points (clears are multiplied by the combo - each cascade in a move counts once more)
+    SCORING: {
+        TILE: 10,              // Per cleared tile
+        SPECIAL: 50,           // Per special tile created or set off
+        CLIMB: 25,             // Per row a character climbs
+        MOVE_BONUS: 100        // Per move left at the win
+    },
+
+    // Clock for levels with a time limit
+    TIMER: {
+        TICK: 250,             // How often the clock is updated (ms)
+        WARNING: 10,           // Seconds left when the clock turns red
+        SPECIAL_BONUS: 2       // Seconds added for each special tile set off
+    },
+
+    // Level goals (see ObjectiveSystem)
+    OBJECTIVES: {
+        MAX: 4                 // Goals a level may have
+    },
+
     // Matching Rules
     MATCH: {
         MIN_MATCH: 3,          // Minimum tiles for a match
         LINE_CLEAR_COUNT: 4,   // Tiles needed for line clear
         BOMB_COUNT: 5          // Tiles needed for bomb
     },
+
+    // Shapes a match can take (crossing runs of one color merge into L/T/plus)
+    MATCH_SHAPES: {
+        LINE: 'line',
+        L: 'L',
+        T: 'T',
+        PLUS: 'plus'
+    },
     
     // Animation Durations (ms)
     ANIMATION: {
@@ -51,7 +126,19 @@ const CONFIG = {
         FALL: 200,
         SPAWN: 300,
         CHARACTER_MOVE: 400,
-        CASCADE_DELAY: 100
+        CHARACTER_STEP: 180,
+        CASCADE_DELAY: 100,
+        SHUFFLE: 400,
+        COLOR_BOMB: 500,
+        DAMAGE: 250,
+        HAZARD: 400,
+        COMBO: 350,
+        TIME_BONUS: 350
+    },
+
+    // Deadlock shuffle
+    SHUFFLE: {
+        MAX_ATTEMPTS: 100      // Rearrangements to try before recoloring tiles
     },
     
     // Game State
@@ -61,6 +148,7 @@ const CONFIG = {
         MATCHING: 'matching',
         FALLING: 'falling',
         CHARACTER_MOVING: 'character_moving',
+        PAUSED: 'paused',
         WIN: 'win',
         LOSE: 'lose'
     },
@@ -73,6 +161,29 @@ const CONFIG = {
         RIGHT: { x: 1, y: 0 }
     },
     
+    // Level packs offered in the pack selector (first one loads by default)
+    LEVEL_PACKS: [
+        { id: 'classic', name: 'Classic', url: 'levels/levels.json' }
+    ],
+
+    // Undo
+    UNDO: {
+        DEFAULT_LIMIT: 3       // Undos per attempt when a level doesn't set undoLimit
+    },
+
+    // Replays
+    REPLAY: {
+        VERSION: 1,            // Bump when the replay format changes
+        STEP_DELAY: 400,       // Pause between moves while playing (ms, before speed-up)
+        SPEEDS: [0.5, 1, 2, 4] // Playback speed choices
+    },
+
+    // Saved progress
+    PROGRESS: {
+        STORAGE_KEY: 'freeTheMan.progress',
+        VERSION: 1             // Bump (and add a migration) when the saved format changes
+    },
+
     // Audio (optional - for future use)
     AUDIO: {
         ENABLED: false,
@@ -84,9 +195,24 @@ const CONFIG = {
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.GRID);
 Object.freeze(CONFIG.TILE_TYPES);
+Object.freeze(CONFIG.TILE_CODES);
 Object.freeze(CONFIG.SPECIAL_TILES);
+Object.freeze(CONFIG.SPECIAL_COMBOS);
+Object.freeze(CONFIG.BLOCKERS);
+Object.freeze(CONFIG.BLOCKERS.DEFAULT_HITS);
+Object.freeze(CONFIG.CHARACTERS);
+Object.freeze(CONFIG.HAZARDS);
+Object.freeze(CONFIG.SCORING);
+Object.freeze(CONFIG.OBJECTIVES);
+Object.freeze(CONFIG.TIMER);
 Object.freeze(CONFIG.MATCH);
+Object.freeze(CONFIG.MATCH_SHAPES);
 Object.freeze(CONFIG.ANIMATION);
 Object.freeze(CONFIG.STATE);
 Object.freeze(CONFIG.DIRECTIONS);
+Object.freeze(CONFIG.LEVEL_PACKS);
+Object.freeze(CONFIG.REPLAY);
+Object.freeze(CONFIG.UNDO);
+Object.freeze(CONFIG.PROGRESS);
+Object.freeze(CONFIG.SHUFFLE);
 Object.freeze(CONFIG.AUDIO);
@@ -0,0 +1,847 @@
+/**
+ * Level Editor
+ * Paint-style editor for level configurations with JSON import/export
+ */
+
+class LevelEditor {
+    constructor() {
+        // DOM Elements
+        this.screenElement = document.getElementById('editorScreen');
+        this.boardElement = document.getElementById('editorBoard');
+        this.colorsElement = document.getElementById('editorColors');
+        this.toolsElement = document.getElementById('editorTools');
+        this.statusElement = document.getElementById('editorStatus');
+        this.jsonElement = document.getElementById('editorJson');
+        this.fields = {
+            id: document.getElementById('editorId'),
+            name: document.getElementById('editorName'),
+            description: document.getElementById('editorDescription'),
+            gridWidth: document.getElementById('editorWidth'),
+            gridHeight: document.getElementById('editorHeight'),
+            maxMoves: document.getElementById('editorMoves'),
+            timeLimit: document.getElementById('editorTime'),
+            escapeQuota: document.getElementById('editorQuota')
+        };
+        this.hazardFields = {
+            water: document.getElementById('editorWater'),
+            slime: document.getElementById('editorSlime')
+        };
+        this.starFields = [1, 2, 3].map(star => document.getElementById(`editorStar${star}`));
+
+        // Editor state
+        this.level = LevelEditor.createBlankLevel();
+        this.tool = LevelEditor.TOOLS.STONE;
+        this.isPainting = false;
+
+        // Callbacks
+        this.onPlay = null;
+        this.onClose = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create a new empty level
+     * @returns {Object} Level configuration
+     */
+    static createBlankLevel() {
+        const width = CONFIG.GRID.DEFAULT_WIDTH;
+        const height = CONFIG.GRID.DEFAULT_HEIGHT;
+        const centerX = Math.floor(width / 2);
+
+        return {
+            id: 1,
+            name: 'Custom Level',
+            description: '',
+            gridWidth: width,
+            gridHeight: height,
+            maxMoves: 20,
+            characters: [{ x: centerX, y: height - 1 }],
+            exits: [{ x: centerX, y: 0 }],
+            blockers: [],
+            overlays: [],
+            hazards: [],
+            tileTypes: CONFIG.MATCHABLE_COLORS.slice(0, 4)
+        };
+    }
+
+    /**
+     * Set up editor event listeners
+     */
+    setupEventListeners() {
+        // Level settings
+        Object.entries(this.fields).forEach(([property, input]) => {
+            input?.addEventListener('change', () => this.updateProperty(property, input.value));
+        });
+
+        Object.entries(this.hazardFields).forEach(([type, input]) => {
+            input?.addEventListener('change', () => this.setHazard(type, input.value));
+        });
+
+        this.starFields.forEach(input => {
+            input?.addEventListener('change', () => this.setStars(this.starFields.map(field => field?.value)));
+        });
+
+        // Tool palette
+        this.toolsElement?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-tool]');
+            if (button) this.selectTool(button.dataset.tool);
+        });
+
+        // Painting - press and drag across cells
+        this.boardElement?.addEventListener('pointerdown', (e) => {
+            const cell = e.target.closest('[data-x]');
+            if (!cell) return;
+            e.preventDefault();
+            this.isPainting = true;
+            this.paint(Number(cell.dataset.x), Number(cell.dataset.y));
+        });
+
+        this.boardElement?.addEventListener('pointerover', (e) => {
+            const cell = e.target.closest('[data-x]');
+            if (cell && this.isPainting && this.isDragTool()) {
+                this.paint(Number(cell.dataset.x), Number(cell.dataset.y));
+            }
+        });
+
+        document.addEventListener('pointerup', () => {
+            this.isPainting = false;
+        });
+
+        // Actions
+        document.getElementById('editorExportBtn')?.addEventListener('click', () => this.exportLevel());
+        document.getElementById('editorImportBtn')?.addEventListener('click', () => this.importLevel(this.jsonElement.value));
+        document.getElementById('editorPlayBtn')?.addEventListener('click', () => this.playLevel());
+        document.getElementById('editorCloseBtn')?.addEventListener('click', () => {
+            this.close();
+            if (this.onClose) this.onClose();
+        });
+    }
+
+    /**
+     * Show the editor
+     * @param {Object} level - Optional level to start from
+     */
+    open(level = null) {
+        if (level) {
+            this.level = LevelEditor.toEditable(level);
+        }
+
+        this.render();
+        this.setStatus('');
+        this.screenElement?.classList.add('active');
+    }
+
+    /**
+     * Hide the editor
+     */
+    close() {
+        this.screenElement?.classList.remove('active');
+    }
+
+    /**
+     * Select the painting tool
+     * @param {string} tool - Tool from LevelEditor.TOOLS
+     */
+    selectTool(tool) {
+        this.tool = tool;
+
+        this.toolsElement?.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Check if the current tool paints while dragging (placement tools don't)
+     * @returns {boolean}
+     */
+    isDragTool() {
+        return this.tool === LevelEditor.TOOLS.STONE ||
+            this.tool === LevelEditor.TOOLS.CRATE ||
+            this.tool === LevelEditor.TOOLS.SLIME ||
+            this.tool === LevelEditor.TOOLS.ERASE;
+    }
+
+    /**
+     * Update a level setting from its input
+     * @param {string} property - Level property name
+     * @param {string} value - Raw input value
+     */
+    updateProperty(property, value) {
+        if (property === 'name' || property === 'description') {
+            this.level[property] = value;
+            return;
+        }
+
+        const number = parseInt(value, 10);
+
+        // A blank quota means every character has to escape
+        if (property === 'escapeQuota') {
+            this.setEscapeQuota(Number.isInteger(number) ? number : Infinity);
+            this.render();
+            return;
+        }
+
+        // A level needs a move limit, a time limit or both - a blank field
+        // drops its limit as long as the other one is set
+        if (property === 'timeLimit' || property === 'maxMoves') {
+            const other = property === 'timeLimit' ? 'maxMoves' : 'timeLimit';
+            if (Number.isInteger(number) && number > 0) {
+                this.level[property] = number;
+            } else if (this.level[other] !== undefined) {
+                delete this.level[property];
+            } else if (property === 'timeLimit') {
+                this.level.maxMoves = 20;
+            }
+            this.render();
+            return;
+        }
+
+        if (!Number.isInteger(number)) {
+            this.render();
+            return;
+        }
+
+        if (property === 'gridWidth' || property === 'gridHeight') {
+            this.resize(
+                property === 'gridWidth' ? number : this.level.gridWidth,
+                property === 'gridHeight' ? number : this.level.gridHeight
+            );
+        } else {
+            this.level[property] = number;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Set how many characters must escape, dropping the setting when it means all of them
+     * @param {number} quota - Characters that must escape
+     */
+    setEscapeQuota(quota) {
+        if (quota < this.level.characters.length) {
+            this.level.escapeQuota = Math.max(1, quota);
+        } else {
+            delete this.level.escapeQuota;
+        }
+    }
+
+    /**
+     * Set how often a hazard grows from its input
+     * @param {string} type - Hazard type ('water' or 'slime')
+     * @param {string} value - Raw input value - moves between growths, blank or 0 turns it off
+     */
+    setHazard(type, value) {
+        const every = parseInt(value, 10);
+        const hazard = this.level.hazards.find(h => h.type === type);
+
+        if (!Number.isInteger(every) || every <= 0) {
+            this.level.hazards = this.level.hazards.filter(h => h !== hazard);
+        } else if (hazard) {
+            hazard.every = every;
+        } else {
+            this.level.hazards.push({ type, every });
+        }
+
+        this.render();
+    }
+
+    /**
+     * Set the star thresholds from their inputs
+     * @param {string[]} values - Raw input values for one, two and three stars - any blank drops the rating
+     */
+    setStars(values) {
+        const stars = values.map(value => parseInt(value, 10));
+
+        if (stars.every(score => Number.isInteger(score) && score > 0)) {
+            this.level.stars = stars;
+        } else {
+            delete this.level.stars;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Change the grid size, pulling positions inside the new bounds
+     * @param {number} width - New width
+     * @param {number} height - New height
+     */
+    resize(width, height) {
+        const clamp = (value, max) => Math.max(0, Math.min(value, max - 1));
+
+        width = Math.max(CONFIG.GRID.MIN_SIZE, Math.min(width, CONFIG.GRID.MAX_SIZE));
+        height = Math.max(CONFIG.GRID.MIN_SIZE, Math.min(height, CONFIG.GRID.MAX_SIZE));
+
+        this.level.gridWidth = width;
+        this.level.gridHeight = height;
+
+        // Characters and exits that would end up on the same cell are dropped
+        // (the list always keeps its first entry)
+        const taken = new Set();
+        ['characters', 'exits'].forEach(property => {
+            this.level[property] = this.level[property]
+                .map(pos => ({ x: clamp(pos.x, width), y: clamp(pos.y, height) }))
+                .filter((pos, index) => {
+                    const key = `${pos.x},${pos.y}`;
+                    if (index > 0 && taken.has(key)) return false;
+                    taken.add(key);
+                    return true;
+                });
+        });
+        this.setEscapeQuota(this.level.escapeQuota ?? Infinity);
+
+        const fits = pos => pos.x < width && pos.y < height && !this.isReserved(pos.x, pos.y);
+        this.level.blockers = this.level.blockers.filter(fits);
+        this.level.overlays = this.level.overlays.filter(fits);
+
+        if (this.level.spawners) this.level.spawners = this.level.spawners.filter(fits);
+        if (this.level.noSpawnColumns) this.setSpawners(this.getSpawners());
+    }
+
+    /**
+     * Toggle a color in the level's tile types
+     * @param {string} color - Color name
+     * @param {boolean} enabled - Whether the color is used
+     */
+    setColor(color, enabled) {
+        const colors = new Set(this.level.tileTypes);
+        if (enabled) colors.add(color);
+        else colors.delete(color);
+
+        // Keep palette order
+        this.level.tileTypes = CONFIG.MATCHABLE_COLORS.filter(c => colors.has(c));
+    }
+
+    /**
+     * Apply the current tool to a cell
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     */
+    paint(x, y) {
+        const blocker = this.getBlocker(x, y);
+        const overlay = this.getOverlay(x, y);
+
+        switch (this.tool) {
+            case LevelEditor.TOOLS.STONE:
+                if (!blocker && !this.isReserved(x, y)) {
+                    this.removeOverlay(x, y);
+                    this.level.blockers.push({ type: CONFIG.TILE_TYPES.STONE, x, y });
+                }
+                break;
+
+            case LevelEditor.TOOLS.CRATE:
+                this.placeBlocker(x, y, CONFIG.TILE_TYPES.CRATE);
+                break;
+
+            case LevelEditor.TOOLS.SLIME:
+                this.placeBlocker(x, y, CONFIG.TILE_TYPES.SLIME);
+                break;
+
+            case LevelEditor.TOOLS.CRACKABLE:
+            case LevelEditor.TOOLS.CHAIN: {
+                // Each click on the same blocker adds a hit, wrapping back to one after the max
+                const type = this.tool === LevelEditor.TOOLS.CHAIN ? CONFIG.TILE_TYPES.CHAIN : CONFIG.TILE_TYPES.CRACKABLE;
+                if (blocker?.type === type) {
+                    blocker.hits = (this.getHits(blocker) % CONFIG.BLOCKERS.MAX_HITS) + 1;
+                } else {
+                    this.placeBlocker(x, y, type);
+                }
+                break;
+            }
+
+            case LevelEditor.TOOLS.ICE:
+                // Each click adds a layer, wrapping back to none after the max
+                if (overlay?.type === CONFIG.TILE_TYPES.ICE) {
+                    const layers = ((overlay.layers || 1) + 1) % (CONFIG.BLOCKERS.MAX_ICE_LAYERS + 1);
+                    if (layers > 0) overlay.layers = layers;
+                    else this.removeOverlay(x, y);
+                } else {
+                    this.placeOverlay(x, y, CONFIG.TILE_TYPES.ICE);
+                }
+                break;
+
+            case LevelEditor.TOOLS.LOCK:
+                if (overlay?.type === CONFIG.TILE_TYPES.LOCKED) {
+                    this.removeOverlay(x, y);
+                } else {
+                    this.placeOverlay(x, y, CONFIG.TILE_TYPES.LOCKED);
+                }
+                break;
+
+            case LevelEditor.TOOLS.SPAWNER:
+                this.toggleSpawner(x, y);
+                break;
+
+            case LevelEditor.TOOLS.CHARACTER:
+                this.togglePlacement('characters', 'exits', x, y);
+                this.setEscapeQuota(this.level.escapeQuota ?? Infinity);
+                this.render();
+                return;
+
+            case LevelEditor.TOOLS.EXIT:
+                this.togglePlacement('exits', 'characters', x, y);
+                break;
+
+            case LevelEditor.TOOLS.ERASE:
+                this.clearCell(x, y);
+                break;
+        }
+
+        this.dropCoveredSpawners();
+        this.renderBoard();
+    }
+
+    /**
+     * Get the cells new tiles appear at, the default top row included
+     * @returns {Object[]} {x, y} of each spawner
+     */
+    getSpawners() {
+        return GravitySystem.resolveSpawners(this.level, this.level.gridWidth);
+    }
+
+    /**
+     * Check if a cell is free for a spawner (nothing placed on it)
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @returns {boolean}
+     */
+    isSpawnerCell(x, y) {
+        return !this.isReserved(x, y) && !this.getBlocker(x, y) && !this.getOverlay(x, y);
+    }
+
+    /**
+     * Add a spawner at a free cell, or remove the one already there
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     */
+    toggleSpawner(x, y) {
+        const spawners = this.getSpawners().filter(pos => this.isSpawnerCell(pos.x, pos.y));
+        const existing = spawners.find(pos => this.isSamePosition(pos, x, y));
+
+        if (existing) {
+            this.setSpawners(spawners.filter(pos => pos !== existing));
+        } else if (this.isSpawnerCell(x, y)) {
+            this.setSpawners([...spawners, { x, y }]);
+        }
+    }
+
+    /**
+     * Store a set of spawners the short way when it can be: nothing for the
+     * default top row, noSpawnColumns for the top row with gaps, a spawners list otherwise
+     * @param {Object[]} spawners - {x, y} of each spawner
+     */
+    setSpawners(spawners) {
+        delete this.level.spawners;
+        delete this.level.noSpawnColumns;
+
+        if (spawners.some(pos => pos.y > 0)) {
+            this.level.spawners = spawners;
+            return;
+        }
+
+        // Columns topped by a blocker, start or exit never spawn anyway
+        const dry = [];
+        for (let x = 0; x < this.level.gridWidth; x++) {
+            if (this.isSpawnerCell(x, 0) && !spawners.some(pos => pos.x === x)) dry.push(x);
+        }
+        if (dry.length > 0) this.level.noSpawnColumns = dry;
+    }
+
+    /**
+     * Drop listed spawners that something has been placed on
+     */
+    dropCoveredSpawners() {
+        if (this.level.spawners) {
+            this.level.spawners = this.level.spawners.filter(pos => this.isSpawnerCell(pos.x, pos.y));
+        }
+    }
+
+    /**
+     * Add a character or exit at a cell, or remove the one already there
+     * (the last one of a kind stays)
+     * @param {string} property - 'characters' or 'exits'
+     * @param {string} other - The other list, whose cells can't be taken
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     */
+    togglePlacement(property, other, x, y) {
+        const positions = this.level[property];
+        const existing = positions.find(pos => this.isSamePosition(pos, x, y));
+
+        if (existing) {
+            if (positions.length > 1) {
+                this.level[property] = positions.filter(pos => pos !== existing);
+            }
+        } else if (this.level[other].some(pos => this.isSamePosition(pos, x, y))) {
+            return;
+        } else if (positions.length >= CONFIG.CHARACTERS.MAX) {
+            this.setStatus(`A level can have at most ${CONFIG.CHARACTERS.MAX} ${property}`, true);
+        } else {
+            this.clearCell(x, y);
+            positions.push({ x, y });
+        }
+    }
+
+    /**
+     * Put an ice or lock overlay on a colored cell, replacing any other overlay there
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @param {string} type - Overlay type
+     * @returns {Object|null} The overlay, or null if the cell has no colored tile
+     */
+    placeOverlay(x, y, type) {
+        if (this.isReserved(x, y) || this.getBlocker(x, y)) return null;
+
+        this.removeOverlay(x, y);
+        const overlay = { type, x, y };
+        this.level.overlays.push(overlay);
+        return overlay;
+    }
+
+    /**
+     * Get the overlay at a cell
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @returns {Object|null}
+     */
+    getOverlay(x, y) {
+        return this.level.overlays.find(overlay => overlay.x === x && overlay.y === y) || null;
+    }
+
+    /**
+     * Remove the overlay at a cell
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     */
+    removeOverlay(x, y) {
+        this.level.overlays = this.level.overlays.filter(overlay => overlay.x !== x || overlay.y !== y);
+    }
+
+    /**
+     * Remove whatever blocker or overlay sits on a cell
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     */
+    clearCell(x, y) {
+        this.removeBlocker(x, y);
+        this.removeOverlay(x, y);
+    }
+
+    /**
+     * Put a blocker of a type at a free cell, replacing any other blocker there
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @param {string} type - Blocker type
+     * @returns {Object|null} The blocker, or null if the cell is reserved
+     */
+    placeBlocker(x, y, type) {
+        if (this.isReserved(x, y)) return null;
+
+        const existing = this.getBlocker(x, y);
+        if (existing?.type === type) return existing;
+
+        this.clearCell(x, y);
+        const blocker = { type, x, y };
+        this.level.blockers.push(blocker);
+        return blocker;
+    }
+
+    /**
+     * Get the hits a crackable stone or chain takes to break
+     * @param {Object} blocker - Blocker entry
+     * @returns {number}
+     */
+    getHits(blocker) {
+        return blocker.hits ?? CONFIG.BLOCKERS.DEFAULT_HITS[blocker.type];
+    }
+
+    /**
+     * Get the blocker at a cell
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @returns {Object|null}
+     */
+    getBlocker(x, y) {
+        return this.level.blockers.find(blocker => blocker.x === x && blocker.y === y) || null;
+    }
+
+    /**
+     * Remove the blocker at a cell
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     */
+    removeBlocker(x, y) {
+        this.level.blockers = this.level.blockers.filter(blocker => blocker.x !== x || blocker.y !== y);
+    }
+
+    /**
+     * Check if a cell holds a character start or an exit
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @returns {boolean}
+     */
+    isReserved(x, y) {
+        return [...this.level.characters, ...this.level.exits].some(pos => this.isSamePosition(pos, x, y));
+    }
+
+    /**
+     * Check if a position object points at a cell
+     * @param {Object} pos - {x, y}
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @returns {boolean}
+     */
+    isSamePosition(pos, x, y) {
+        return pos.x === x && pos.y === y;
+    }
+
+    /**
+     * Render settings and board
+     */
+    render() {
+        Object.entries(this.fields).forEach(([property, input]) => {
+            if (input) input.value = this.level[property] ?? '';
+        });
+        Object.entries(this.hazardFields).forEach(([type, input]) => {
+            if (input) input.value = this.level.hazards.find(h => h.type === type)?.every ?? '';
+        });
+        this.starFields.forEach((input, index) => {
+            if (input) input.value = this.level.stars?.[index] ?? '';
+        });
+
+        this.renderColors();
+        this.renderBoard();
+    }
+
+    /**
+     * Render the tile color checkboxes
+     */
+    renderColors() {
+        if (!this.colorsElement) return;
+
+        this.colorsElement.innerHTML = '';
+
+        CONFIG.MATCHABLE_COLORS.forEach(color => {
+            const label = document.createElement('label');
+            label.className = `editor-color tile ${color}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.level.tileTypes.includes(color);
+            checkbox.setAttribute('aria-label', color);
+            checkbox.addEventListener('change', () => this.setColor(color, checkbox.checked));
+
+            label.appendChild(checkbox);
+            this.colorsElement.appendChild(label);
+        });
+    }
+
+    /**
+     * Render the editable board
+     */
+    renderBoard() {
+        if (!this.boardElement) return;
+
+        const { gridWidth, gridHeight } = this.level;
+        const spawners = this.getSpawners();
+
+        this.boardElement.innerHTML = '';
+        this.boardElement.style.gridTemplateColumns = `repeat(${gridWidth}, var(--tile-size))`;
+        this.boardElement.style.gridTemplateRows = `repeat(${gridHeight}, var(--tile-size))`;
+
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const cell = document.createElement('div');
+                cell.className = `tile ${this.getCellClasses(x, y).join(' ')}`;
+                cell.dataset.x = x;
+                cell.dataset.y = y;
+
+                const blocker = this.getBlocker(x, y);
+                const overlay = this.getOverlay(x, y);
+                const iceLayers = overlay?.type === CONFIG.TILE_TYPES.ICE ? overlay.layers || 1 : 0;
+
+                BoardRenderer.createOverlayElements({
+                    ice: iceLayers,
+                    locked: overlay?.type === CONFIG.TILE_TYPES.LOCKED,
+                    chains: blocker?.type === CONFIG.TILE_TYPES.CHAIN ? this.getHits(blocker) : 0,
+                    spawner: this.isSpawnerCell(x, y) && spawners.some(pos => this.isSamePosition(pos, x, y))
+                }).forEach(layer => cell.appendChild(layer));
+
+                if (iceLayers > 1) {
+                    cell.appendChild(this.createBadge(iceLayers));
+                }
+                if (blocker && (blocker.type === CONFIG.TILE_TYPES.CRACKABLE || blocker.type === CONFIG.TILE_TYPES.CHAIN)) {
+                    cell.appendChild(this.createBadge(this.getHits(blocker), 'editor-badge-hits'));
+                }
+
+                this.boardElement.appendChild(cell);
+            }
+        }
+    }
+
+    /**
+     * Create a number badge for a cell
+     * @param {number} value - Number to show
+     * @param {string} className - Extra class for placement
+     * @returns {HTMLElement}
+     */
+    createBadge(value, className = '') {
+        const badge = document.createElement('span');
+        badge.className = `editor-badge ${className}`.trim();
+        badge.textContent = value;
+        return badge;
+    }
+
+    /**
+     * Get the tile classes that show a cell's contents
+     * @param {number} x - Cell x
+     * @param {number} y - Cell y
+     * @returns {string[]}
+     */
+    getCellClasses(x, y) {
+        const character = this.level.characters.findIndex(pos => this.isSamePosition(pos, x, y));
+        if (character >= 0) return ['character', `character-${character}`];
+        if (this.level.exits.some(pos => this.isSamePosition(pos, x, y))) return ['exit'];
+
+        // Chains and overlays sit on a random colored tile
+        const blocker = this.getBlocker(x, y);
+        if (!blocker || blocker.type === CONFIG.TILE_TYPES.CHAIN) return ['empty'];
+
+        return [blocker.type];
+    }
+
+    /**
+     * Write the level as JSON into the text area
+     */
+    exportLevel() {
+        const json = JSON.stringify(LevelEditor.toLevelConfig(this.level), null, 2);
+        this.jsonElement.value = json;
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json)
+                .then(() => this.setStatus('Level JSON copied to clipboard'))
+                .catch(() => this.setStatus('Level JSON ready to copy'));
+        } else {
+            this.setStatus('Level JSON ready to copy');
+        }
+    }
+
+    /**
+     * Load a level from JSON - a single level or a pack (its first level is used)
+     * @param {string} json - Level or pack JSON
+     * @returns {boolean} True if the level was loaded
+     */
+    importLevel(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            this.setStatus(`Not valid JSON: ${error.message}`, true);
+            return false;
+        }
+
+        const level = Array.isArray(data) ? data[0] : data?.levels ? data.levels[0] : data;
+        const errors = levelValidator.validateLevel(level);
+
+        if (errors.length > 0) {
+            this.setStatus(errors.map(error => LevelValidator.formatError(error)).join('\n'), true);
+            return false;
+        }
+
+        this.level = LevelEditor.toEditable(level);
+        this.render();
+        this.setStatus(`Imported "${this.level.name}"`);
+        return true;
+    }
+
+    /**
+     * Validate the level and hand it to the game
+     */
+    playLevel() {
+        const level = LevelEditor.toLevelConfig(this.level);
+        const errors = levelValidator.validateLevel(level);
+
+        if (errors.length > 0) {
+            this.setStatus(errors.map(error => LevelValidator.formatError(error)).join('\n'), true);
+            return;
+        }
+
+        if (this.onPlay) {
+            this.onPlay(level);
+        }
+    }
+
+    /**
+     * Show a status line under the board
+     * @param {string} message - Status text
+     * @param {boolean} isError - Show as an error
+     */
+    setStatus(message, isError = false) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+            this.statusElement.classList.toggle('error', isError);
+        }
+    }
+
+    /**
+     * Deep copy a level configuration
+     * @param {Object} level - Level configuration
+     * @returns {Object}
+     */
+    static copyLevel(level) {
+        return JSON.parse(JSON.stringify(level));
+    }
+
+    /**
+     * Copy a level into the shape the editor works on - every list present,
+     * characters and exits always as lists
+     * @param {Object} level - Level configuration
+     * @returns {Object}
+     */
+    static toEditable(level) {
+        const { characterStart, exitPosition, ...copy } = LevelEditor.copyLevel(level);
+
+        copy.characters = copy.characters || [characterStart];
+        copy.exits = copy.exits || [exitPosition];
+        copy.blockers = copy.blockers || [];
+        copy.overlays = copy.overlays || [];
+        copy.hazards = copy.hazards || [];
+        copy.tileTypes = copy.tileTypes || [...CONFIG.MATCHABLE_COLORS];
+        return copy;
+    }
+
+    /**
+     * Copy the edited level back into a level configuration, writing a lone
+     * character or exit as characterStart / exitPosition
+     * @param {Object} level - Level in the editor's shape
+     * @returns {Object}
+     */
+    static toLevelConfig(level) {
+        const { characters, exits, ...copy } = LevelEditor.copyLevel(level);
+
+        if (characters.length === 1) copy.characterStart = characters[0];
+        else copy.characters = characters;
+
+        if (exits.length === 1) copy.exitPosition = exits[0];
+        else copy.exits = exits;
+
+        return copy;
+    }
+}
+
+// Painting tools
+LevelEditor.TOOLS = Object.freeze({
+    STONE: 'stone',
+    CRACKABLE: 'crackable',
+    CRATE: 'crate',
+    SLIME: 'slime',
+    CHAIN: 'chain',
+    ICE: 'ice',
+    LOCK: 'lock',
+    SPAWNER: 'spawner',
+    CHARACTER: 'character',
+    EXIT: 'exit',
+    ERASE: 'erase'
+});
+
@@ -0,0 +1,486 @@
+/**
+ * Game Engine
+ * Runs the game rules without a DOM: builds a level from a seed, applies swaps
+ * and reports everything that happened as a list of events, in order
+ *
+ * Events that change the board carry `board`, a grid snapshot (plus waterRows and spawners) taken right after the change:
+ *   { type: 'swapped', from, to, movesRemaining, board }
+ *   { type: 'rejected', from, to }                      - no match, the tiles stay put
+ *   { type: 'matched', positions, matches }
+ *   { type: 'specialFired', special, position, affectedPositions }
+ *   { type: 'cleared', positions, damaged, created, board } - damaged: cells that took a hit but stayed,
+ *                                                       created: new special tiles
+ *   { type: 'fell', movements, board }
+ *   { type: 'spawned', positions, board }
+ *   { type: 'characterMoved', character, path, escaped, board } - character: index in the level's list
+ *   { type: 'scored', reason, points, combo, score }    - reason: 'clear' (points times combo),
+ *                                                       'climb' or 'moves' (left at the win); score: running total
+ *   { type: 'progressed', objectives }                  - a goal moved on; objectives: ObjectiveSystem.getProgress()
+ *   { type: 'timeAdded', seconds, timeRemaining }       - bonus time for setting off specials (timed levels only)
+ *   { type: 'waterRose', rows, positions, board }      - rows: flooded rows, positions: the new row
+ *   { type: 'slimeSpread', from, to, board }
+ *   { type: 'shuffled', success, positions, board }
+ *   { type: 'won', movesUsed, movesRemaining, freed, characters, score, stars } - freed: characters
+ *                                                       that escaped, stars: 0-3 from the level's thresholds
+ *   { type: 'lost', reason }                            - reason: 'moves', 'time', 'flooded' or 'noMoves'
+ *
+ * A level is won once every goal in ObjectiveSystem is met. It is limited by
+ * moves (maxMoves), by time (timeLimit, in seconds) or by both: the engine has
+ * no clock of its own, so the caller reports the time that passes with tick().
+ */
+
+class GameEngine {
+    /**
+     * Create an engine for a level
+     * @param {Object} level - Level configuration
+     * @param {number} seed - RNG seed for the board and refills
+     */
+    constructor(level, seed = SeededRandom.randomSeed()) {
+        this.level = level;
+        this.rng = new SeededRandom(seed);
+        this.seed = this.rng.seed;
+
+        this.gridManager = new GridManager(level.gridWidth, level.gridHeight, this.rng);
+        this.matchResolver = new MatchResolver(this.gridManager);
+        this.gravitySystem = new GravitySystem(this.gridManager, this.rng);
+        this.characterController = new CharacterController(this.gridManager);
+        this.hazardSystem = new HazardSystem(this.gridManager, this.rng);
+        this.scoreSystem = new ScoreSystem();
+        this.objectiveSystem = new ObjectiveSystem(this.gridManager, this.characterController, this.scoreSystem);
+
+        // Timed levels have no move limit unless they set one too
+        this.timeLimit = level.timeLimit ?? null;
+        this.timeRemaining = this.timeLimit;
+        this.timeAdded = 0;     // Bonus seconds earned so far
+        this.maxMoves = level.maxMoves || (this.timeLimit ? Infinity : 20);
+        this.movesRemaining = this.maxMoves;
+        this.movesUsed = 0;
+        this.outcome = null;    // 'won' or 'lost' once the level is over
+
+        this.gridManager.initialize(level);
+        this.gravitySystem.initialize(level);
+
+        // A freshly generated board can be a dead end too
+        if (!this.gridManager.hasPossibleMoves()) {
+            this.gridManager.shuffle();
+        }
+
+        this.characterController.initialize(
+            this.gridManager.characterPositions,
+            this.gridManager.exitPositions,
+            level.escapeQuota
+        );
+
+        this.hazardSystem.initialize(level.hazards);
+        this.scoreSystem.initialize(level.stars);
+        this.objectiveSystem.initialize(level.objectives);
+        this.lastProgress = this.objectiveSystem.getProgress();
+    }
+
+    /**
+     * Try to swap two tiles and resolve everything the swap sets off
+     * @param {number} x1 - First tile x
+     * @param {number} y1 - First tile y
+     * @param {number} x2 - Second tile x
+     * @param {number} y2 - Second tile y
+     * @returns {Object[]} Events in the order they happened (empty once the level is over)
+     */
+    swap(x1, y1, x2, y2) {
+        if (this.outcome) return [];
+
+        const from = { x: x1, y: y1 };
+        const to = { x: x2, y: y2 };
+
+        if (!this.canSwap(x1, y1, x2, y2)) {
+            return [{ type: 'rejected', from, to }];
+        }
+
+        this.gridManager.swap(x1, y1, x2, y2);
+
+        // A color bomb fires with any tile, two specials swapped together always fire as a combo
+        const isColorBomb = this.matchResolver.getColorBombSwap(x1, y1, x2, y2) !== null;
+        const isCombo = !isColorBomb && this.matchResolver.getSpecialCombo(x1, y1, x2, y2) !== null;
+
+        if (!isColorBomb && !isCombo && !this.matchResolver.checkSwapForMatches(x1, y1, x2, y2)) {
+            this.gridManager.swap(x1, y1, x2, y2);
+            return [{ type: 'rejected', from, to }];
+        }
+
+        const events = [];
+        this.hazardSystem.startTurn();
+        this.movesRemaining--;
+        this.movesUsed++;
+        this.scoreSystem.startMove();
+        events.push({ type: 'swapped', from, to, movesRemaining: this.movesRemaining, board: this.getBoard() });
+
+        if (isColorBomb) {
+            this.resolveClears(this.matchResolver.processColorBombSwap(x1, y1, x2, y2), events);
+        } else if (isCombo) {
+            this.resolveClears(this.matchResolver.processSpecialCombo(x1, y1, x2, y2), events);
+        }
+
+        // Specials from the swap's own matches appear where the player moved the tile
+        this.processCascades(events, isColorBomb || isCombo ? [] : [to, from]);
+
+        // Check win condition - hazards only grow while a goal is still unmet
+        if (this.objectiveSystem.isComplete()) {
+            this.outcome = 'won';
+            if (this.maxMoves !== Infinity) {
+                this.addScore(events, 'moves', this.scoreSystem.scoreMovesLeft(this.movesRemaining));
+            }
+            events.push({ type: 'won', movesRemaining: this.movesRemaining, ...this.getResult() });
+        } else if (this.growHazards(events)) {
+            this.outcome = 'lost';
+            events.push({ type: 'lost', reason: 'flooded' });
+        } else if (this.movesRemaining <= 0) {
+            this.outcome = 'lost';
+            events.push({ type: 'lost', reason: 'moves' });
+        } else {
+            this.ensurePlayableBoard(events);
+        }
+
+        return events;
+    }
+
+    /**
+     * Let time pass on a timed level
+     * @param {number} seconds - Seconds since the last tick
+     * @returns {Object[]} [{ type: 'lost', reason: 'time' }] once time runs out, else no events
+     */
+    tick(seconds) {
+        if (this.outcome || !this.isTimed()) return [];
+
+        this.timeRemaining = Math.max(0, this.timeRemaining - seconds);
+        if (this.timeRemaining > 0) return [];
+
+        this.outcome = 'lost';
+        return [{ type: 'lost', reason: 'time' }];
+    }
+
+    /**
+     * Check if the level has a time limit
+     * @returns {boolean}
+     */
+    isTimed() {
+        return this.timeLimit !== null;
+    }
+
+    /**
+     * Check if two cells hold adjacent tiles that may be swapped
+     * @param {number} x1 - First tile x
+     * @param {number} y1 - First tile y
+     * @param {number} x2 - Second tile x
+     * @param {number} y2 - Second tile y
+     * @returns {boolean}
+     */
+    canSwap(x1, y1, x2, y2) {
+        const tile1 = this.gridManager.getTile(x1, y1);
+        const tile2 = this.gridManager.getTile(x2, y2);
+
+        return !!tile1 && !!tile2 && tile1.canSwap() && tile2.canSwap() &&
+            this.gridManager.areAdjacent(x1, y1, x2, y2);
+    }
+
+    /**
+     * Resolve matches until the board settles
+     * @param {Object[]} events - Event list to append to
+     * @param {Object[]} swappedPositions - Cells the player swapped (only the first wave uses them)
+     */
+    processCascades(events, swappedPositions = []) {
+        let matches = this.matchResolver.findAllMatches();
+        let preferred = swappedPositions;
+
+        while (matches.length > 0) {
+            const result = this.matchResolver.processMatches(matches, preferred);
+            preferred = [];
+
+            events.push({
+                type: 'matched',
+                positions: this.matchResolver.getMatchedPositions(matches),
+                matches
+            });
+
+            this.resolveClears(result, events);
+            matches = this.matchResolver.findAllMatches();
+        }
+    }
+
+    /**
+     * Clear tiles, place new specials and refill the board
+     * @param {Object} result - { clearedPositions, damagedPositions, specialTiles, activations } from MatchResolver
+     * @param {Object[]} events - Event list to append to
+     */
+    resolveClears({ clearedPositions, damagedPositions, specialTiles, activations }, events) {
+        activations.forEach(activation => {
+            events.push({
+                type: 'specialFired',
+                special: activation.type,
+                position: activation.position,
+                affectedPositions: activation.affectedPositions
+            });
+        });
+        this.addTime(events, activations.length * CONFIG.TIMER.SPECIAL_BONUS);
+
+        // Clear matched tiles
+        this.objectiveSystem.recordClears(clearedPositions.map(pos => this.gridManager.getTile(pos.x, pos.y)));
+        clearedPositions.forEach(pos => {
+            this.gridManager.setEmpty(pos.x, pos.y);
+        });
+
+        // Create special tiles
+        specialTiles.forEach(special => {
+            const tile = new Tile(special.color, special.position.x, special.position.y);
+            tile.setSpecial(special.type);
+            this.gridManager.setTile(special.position.x, special.position.y, tile);
+        });
+
+        events.push({
+            type: 'cleared',
+            positions: clearedPositions,
+            damaged: damagedPositions,
+            created: specialTiles,
+            board: this.getBoard()
+        });
+        this.addScore(events, 'clear', this.scoreSystem.scoreClear(
+            clearedPositions.length,
+            specialTiles.length + activations.length
+        ));
+        this.reportProgress(events);
+
+        // The characters walk through the gaps before anything falls into them
+        this.moveCharacters(events);
+
+        // Same steps as GravitySystem.processGravity, reported one by one
+        const movements = this.gravitySystem.applyGravityFully().flat();
+        if (movements.length > 0) {
+            events.push({ type: 'fell', movements, board: this.getBoard() });
+        }
+
+        const { newTiles } = this.gravitySystem.refill();
+        if (newTiles.length > 0) {
+            events.push({
+                type: 'spawned',
+                positions: newTiles.map(({ x, y }) => ({ x, y })),
+                board: this.getBoard()
+            });
+        }
+    }
+
+    /**
+     * Walk each trapped character through the cleared cells toward an exit,
+     * in order, until nobody can get any closer (one may free a cell another needs)
+     * @param {Object[]} events - Event list to append to
+     */
+    moveCharacters(events) {
+        let moved = true;
+
+        while (moved) {
+            moved = false;
+
+            this.characterController.getTrappedCharacters().forEach(character => {
+                const startY = character.y;
+                const path = this.characterController.moveTowardExit(character);
+                if (path.length === 0) return;
+
+                moved = true;
+                events.push({
+                    type: 'characterMoved',
+                    character: character.id,
+                    path,
+                    escaped: character.hasEscaped,
+                    board: this.getBoard()
+                });
+                this.addScore(events, 'climb', this.scoreSystem.scoreClimb(startY - path[path.length - 1].y));
+                this.reportProgress(events);
+            });
+        }
+    }
+
+    /**
+     * End-of-turn phase: grow the hazards that are due after this move
+     * @param {Object[]} events - Event list to append to
+     * @returns {boolean} True if the water reached the character
+     */
+    growHazards(events) {
+        const due = this.hazardSystem.getDueHazards(this.getMovesUsed());
+
+        if (due.includes(HazardSystem.TYPES.SLIME)) {
+            const spread = this.hazardSystem.spreadSlime();
+            if (spread) {
+                events.push({ type: 'slimeSpread', from: spread.from, to: spread.to, board: this.getBoard() });
+            }
+        }
+
+        if (due.includes(HazardSystem.TYPES.WATER)) {
+            const positions = this.hazardSystem.riseWater();
+            if (positions.length > 0) {
+                events.push({ type: 'waterRose', rows: this.hazardSystem.waterRows, positions, board: this.getBoard() });
+            }
+        }
+
+        return this.hazardSystem.hasFloodedCharacter();
+    }
+
+    /**
+     * Shuffle the board if the settled board has no valid move left
+     * @param {Object[]} events - Event list to append to
+     */
+    ensurePlayableBoard(events) {
+        if (this.gridManager.hasPossibleMoves()) return;
+
+        const positions = this.gridManager.getShufflablePositions();
+        const success = this.gridManager.shuffle();
+
+        events.push({ type: 'shuffled', success, positions, board: this.getBoard() });
+
+        // Nothing left to try - the level can't be finished from here
+        if (!success) {
+            this.outcome = 'lost';
+            events.push({ type: 'lost', reason: 'noMoves' });
+        }
+    }
+
+    /**
+     * Get a copy of the board
+     * @returns {Object} { grid: Tile[][], characterPositions, waterRows, spawners }
+     */
+    getBoard() {
+        return {
+            ...this.gridManager.createSnapshot(),
+            waterRows: this.hazardSystem.waterRows,
+            spawners: this.gravitySystem.spawners
+        };
+    }
+
+    /**
+     * Report points as a scored event (nothing for zero points)
+     * @param {Object[]} events - Event list to append to
+     * @param {string} reason - 'clear', 'climb' or 'moves'
+     * @param {number} points - Points just awarded
+     */
+    addScore(events, reason, points) {
+        if (points <= 0) return;
+
+        events.push({
+            type: 'scored',
+            reason,
+            points,
+            combo: reason === 'clear' ? this.scoreSystem.combo : 1,
+            score: this.scoreSystem.score
+        });
+    }
+
+    /**
+     * Put bonus seconds on the clock of a timed level
+     * @param {Object[]} events - Event list to append to
+     * @param {number} seconds - Seconds to add
+     */
+    addTime(events, seconds) {
+        if (seconds <= 0 || !this.isTimed()) return;
+
+        this.timeRemaining += seconds;
+        this.timeAdded += seconds;
+        events.push({ type: 'timeAdded', seconds, timeRemaining: this.timeRemaining });
+    }
+
+    /**
+     * Report the goals as a progressed event if any of them moved on
+     * @param {Object[]} events - Event list to append to
+     */
+    reportProgress(events) {
+        const objectives = this.objectiveSystem.getProgress();
+        if (objectives.every((goal, index) => goal.current === this.lastProgress[index].current)) return;
+
+        this.lastProgress = objectives;
+        events.push({ type: 'progressed', objectives });
+    }
+
+    /**
+     * Get how the level is going
+     * @returns {Object} { movesUsed, freed, characters, score, stars }
+     */
+    getResult() {
+        return {
+            movesUsed: this.getMovesUsed(),
+            freed: this.characterController.getEscapedCount(),
+            characters: this.characterController.getCharacters().length,
+            score: this.scoreSystem.score,
+            stars: this.scoreSystem.getStars()
+        };
+    }
+
+    /**
+     * Get the number of moves until a hazard grows next
+     * @param {string} type - HazardSystem.TYPES value
+     * @returns {number|null} Null if the level has no such hazard
+     */
+    getMovesUntilHazard(type) {
+        return this.hazardSystem.getMovesUntil(type, this.getMovesUsed());
+    }
+
+    /**
+     * Find a valid move
+     * @returns {{x1: number, y1: number, x2: number, y2: number}|null}
+     */
+    findHint() {
+        return this.gridManager.findHint();
+    }
+
+    /**
+     * Get the number of moves used so far
+     * @returns {number}
+     */
+    getMovesUsed() {
+        return this.movesUsed;
+    }
+
+    /**
+     * Check if the level is over
+     * @returns {boolean}
+     */
+    isOver() {
+        return this.outcome !== null;
+    }
+
+    /**
+     * Capture everything a move can change
+     * @returns {Object} Engine snapshot
+     */
+    createSnapshot() {
+        return {
+            grid: this.gridManager.createSnapshot(),
+            characters: this.characterController.getState(),
+            hazards: this.hazardSystem.getState(),
+            score: this.scoreSystem.getState(),
+            objectives: this.objectiveSystem.getState(),
+            movesRemaining: this.movesRemaining,
+            movesUsed: this.movesUsed,
+            timeAdded: this.timeAdded,
+            rngState: this.rng.getState(),
+            outcome: this.outcome
+        };
+    }
+
+    /**
+     * Restore a snapshot from createSnapshot (the time left on a timed level
+     * isn't part of it - undo doesn't turn back the clock, it only takes back
+     * bonus time earned since)
+     * @param {Object} snapshot - Engine snapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.gridManager.restoreSnapshot(snapshot.grid);
+        this.characterController.restoreState(snapshot.characters);
+        this.hazardSystem.restoreState(snapshot.hazards);
+        this.scoreSystem.restoreState(snapshot.score);
+        this.objectiveSystem.restoreState(snapshot.objectives);
+        this.lastProgress = this.objectiveSystem.getProgress();
+        this.rng.setState(snapshot.rngState);
+        this.movesRemaining = snapshot.movesRemaining;
+        this.movesUsed = snapshot.movesUsed;
+        if (this.isTimed()) {
+            this.timeRemaining = Math.max(0, this.timeRemaining - (this.timeAdded - snapshot.timeAdded));
+            this.timeAdded = snapshot.timeAdded;
+        }
+        this.outcome = snapshot.outcome;
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * Character Entity Class
- * Represents the trapped person that needs to escape
+ * Represents a trapped person that needs to escape
  */
 
 class Character {
@@ -8,8 +8,10 @@ class Character {
      * Create the character
      * @param {number} x - Starting grid x position (column)
      * @param {number} y - Starting grid y position (row)
+     * @param {number} id - Index of the character in the level's list
      */
-    constructor(x, y) {
+    constructor(x, y, id = 0) {
+        this.id = id;
         this.x = x;
         this.y = y;
         this.startX = x;
@@ -30,31 +32,12 @@ class Character {
     }
 
     /**
-     * Check if character can move to a position
-     * @param {number} targetY - Target y position
-     * @param {Function} isEmpty - Function to check if position is empty
+     * Check if character is standing on the exit
+     * @param {Object} exitPosition - {x, y} of the exit
      * @returns {boolean}
      */
-    canMoveUp(isEmpty) {
-        // Character moves up (y decreases)
-        return this.y > 0 && isEmpty(this.x, this.y - 1);
-    }
-
-    /**
-     * Get the position above the character
-     * @returns {{x: number, y: number}}
-     */
-    getPositionAbove() {
-        return { x: this.x, y: this.y - 1 };
-    }
-
-    /**
-     * Check if character has reached the exit row
-     * @param {number} exitY - The y position of the exit
-     * @returns {boolean}
-     */
-    hasReachedExit(exitY) {
-        return this.y <= exitY;
+    hasReachedExit(exitPosition) {
+        return this.x === exitPosition.x && this.y === exitPosition.y;
     }
 
     /**
@@ -113,6 +96,6 @@ class Character {
      * @returns {string}
      */
     toString() {
-        return `Character @ (${this.x}, ${this.y}) - Escaped: ${this.hasEscaped}`;
+        return `Character ${this.id} @ (${this.x}, ${this.y}) - Escaped: ${this.hasEscaped}`;
     }
 }
@@ -14,7 +14,6 @@ class Tile {
         this.type = type;
         this.x = x;
         this.y = y;
-        this.element = null;
 
         // State flags
         this.isMatched = false;
@@ -25,6 +24,8 @@ class Tile {
         // Blocker properties
         this.iceLayer = 0;      // 0 = no ice, 1+ = ice layers
         this.isLocked = false;
+        this.chainLayer = 0;    // 0 = free, 1+ = chains holding the tile in place
+        this.hitPoints = this.isBreakable() ? CONFIG.BLOCKERS.DEFAULT_HITS[type] : 0;
     }
 
     /**
@@ -48,7 +49,40 @@ class Tile {
      * @returns {boolean}
      */
     isBlocker() {
-        return this.type === CONFIG.TILE_TYPES.STONE;
+        return this.type === CONFIG.TILE_TYPES.STONE || this.isBreakable();
+    }
+
+    /**
+     * Check if this tile is a blocker that breaks after enough hits (crackable stone, crate, slime)
+     * @returns {boolean}
+     */
+    isBreakable() {
+        return this.type === CONFIG.TILE_TYPES.CRACKABLE || this.type === CONFIG.TILE_TYPES.CRATE ||
+            this.isSlime();
+    }
+
+    /**
+     * Check if this tile is slime
+     * @returns {boolean}
+     */
+    isSlime() {
+        return this.type === CONFIG.TILE_TYPES.SLIME;
+    }
+
+    /**
+     * Check if this tile is held in place by chains
+     * @returns {boolean}
+     */
+    isChained() {
+        return this.chainLayer > 0;
+    }
+
+    /**
+     * Check if an overlay holds this tile in place (ice, lock or chains)
+     * @returns {boolean}
+     */
+    isHeld() {
+        return this.iceLayer > 0 || this.isLocked || this.isChained();
     }
 
     /**
@@ -72,7 +106,7 @@ class Tile {
      * @returns {boolean}
      */
     canSwap() {
-        return this.isMatchable() && !this.isFalling && !this.isLocked;
+        return this.isMatchable() && !this.isFalling && !this.isHeld();
     }
 
     /**
@@ -113,52 +147,46 @@ class Tile {
     }
 
     /**
-     * Lock the tile
+     * Wrap the tile in chains
+     * @param {number} layers - Number of chains
      */
-    lock() {
-        this.isLocked = true;
+    addChains(layers = 1) {
+        this.chainLayer = layers;
     }
 
     /**
-     * Unlock the tile
+     * Break one chain
+     * @returns {boolean} - True if a chain was broken, false if not chained
      */
-    unlock() {
-        this.isLocked = false;
+    removeChain() {
+        if (this.chainLayer > 0) {
+            this.chainLayer--;
+            return true;
+        }
+        return false;
     }
 
     /**
-     * Create DOM element for this tile
-     * @returns {HTMLElement}
+     * Take one hit on a breakable blocker
+     * @returns {boolean} - True if the blocker broke
      */
-    createElement() {
-        const el = document.createElement('div');
-        el.className = 'tile';
-        el.dataset.x = this.x;
-        el.dataset.y = this.y;
-        this.updateElement(el);
-        this.element = el;
-        return el;
+    takeHit() {
+        if (this.hitPoints > 0) this.hitPoints--;
+        return this.hitPoints === 0;
     }
 
     /**
-     * Update DOM element classes based on tile state
-     * @param {HTMLElement} el - Optional element (uses this.element if not provided)
+     * Lock the tile
      */
-    updateElement(el = this.element) {
-        if (!el) return;
-
-        // Build class list
-        const classes = ['tile', this.type];
-
-        if (this.isMatched) classes.push('matched');
-        if (this.isFalling) classes.push('falling');
-        if (this.isSpecial) classes.push('special', this.specialType);
-        if (this.iceLayer > 0) classes.push('ice');
-        if (this.isLocked) classes.push('locked');
+    lock() {
+        this.isLocked = true;
+    }
 
-        el.className = classes.join(' ');
-        el.dataset.x = this.x;
-        el.dataset.y = this.y;
+    /**
+     * Unlock the tile
+     */
+    unlock() {
+        this.isLocked = false;
     }
 
     /**
@@ -171,6 +199,8 @@ class Tile {
         tile.specialType = this.specialType;
         tile.iceLayer = this.iceLayer;
         tile.isLocked = this.isLocked;
+        tile.chainLayer = this.chainLayer;
+        tile.hitPoints = this.hitPoints;
         return tile;
     }
 
@@ -188,9 +218,9 @@ class Tile {
  * @param {number} x - Grid x position
  * @param {number} y - Grid y position
  * @param {string[]} allowedTypes - Array of allowed tile types
+ * @param {SeededRandom} rng - Random source
  * @returns {Tile}
  */
-function createRandomTile(x, y, allowedTypes = CONFIG.MATCHABLE_COLORS) {
-    const randomType = allowedTypes[Math.floor(Math.random() * allowedTypes.length)];
-    return new Tile(randomType, x, y);
+function createRandomTile(x, y, allowedTypes = CONFIG.MATCHABLE_COLORS, rng = new SeededRandom()) {
+    return new Tile(rng.pick(allowedTypes), x, y);
 }
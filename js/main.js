@@ -8,21 +8,40 @@ class Game {
         // DOM Elements
         this.boardElement = document.getElementById('gameBoard');
         this.levelNumberEl = document.getElementById('levelNumber');
+        this.movesInfoEl = document.getElementById('movesInfo');
         this.movesCountEl = document.getElementById('movesCount');
+        this.timeInfoEl = document.getElementById('timeInfo');
+        this.timeCountEl = document.getElementById('timeCount');
+        this.scoreCountEl = document.getElementById('scoreCount');
+        this.objectiveListEl = document.getElementById('objectiveList');
+        this.seedValueEl = document.getElementById('seedValue');
+        this.hazardInfoEl = document.getElementById('hazardInfo');
+        this.bannerEl = document.getElementById('boardBanner');
         this.startModal = document.getElementById('startModal');
         this.winModal = document.getElementById('winModal');
         this.loseModal = document.getElementById('loseModal');
+        this.levelModal = document.getElementById('levelModal');
+        this.mapModal = document.getElementById('mapModal');
+        this.replayModal = document.getElementById('replayModal');
+        this.replayBarEl = document.getElementById('replayBar');
+        this.packSelectEl = document.getElementById('packSelect');
+        this.packStatusEl = document.getElementById('packStatus');
 
         // Managers
-        this.gridManager = null;
-        this.matchResolver = null;
-        this.gravitySystem = null;
-        this.characterController = null;
+        this.engine = null;
+        this.boardRenderer = new BoardRenderer(this.boardElement);
         this.levelManager = new LevelManager();
+        this.levelEditor = new LevelEditor();
+        this.replayManager = new ReplayManager();
+        this.progressManager = new ProgressManager();
+        this.undoManager = null;
 
         // Game state
         this.isProcessing = false;
-        this.characterElement = null;
+        this.replay = null;     // { data, step, playing } while watching a replay
+        this.timer = null;      // Clock interval on timed levels
+        this.lastTick = 0;
+        this.heldEvents = [];   // Clock events waiting for the current move to settle
 
         // Initialize
         this.init();
@@ -32,17 +51,129 @@ class Game {
      * Initialize the game
      */
     init() {
-        // Load default levels
-        this.levelManager.loadLevels(DEFAULT_LEVELS);
-
         // Set up level manager callbacks
         this.levelManager.onLevelLoaded = (level, num) => this.onLevelLoaded(level, num);
         this.levelManager.onMovesChanged = (remaining, max) => this.onMovesChanged(remaining, max);
+        this.levelManager.onTimeChanged = (remaining, limit) => this.onTimeChanged(remaining, limit);
+        this.levelManager.onScoreChanged = (score) => this.onScoreChanged(score);
         this.levelManager.onWin = (data) => this.onWin(data);
         this.levelManager.onLose = (data) => this.onLose(data);
+        this.boardRenderer.onSwap = (x1, y1, x2, y2) => this.handleSwap(x1, y1, x2, y2);
+
+        // Level editor hands finished levels straight to the game
+        this.levelEditor.onPlay = (level) => this.playCustomLevel(level);
+        this.levelEditor.onClose = () => {
+            if (!this.levelManager.currentLevel) this.showMenu();
+            this.updatePause();
+            this.focusActiveView();
+        };
 
         // Set up button event listeners
         this.setupEventListeners();
+
+        // Load the default level pack (or one given as ?pack=<url>)
+        this.loadLevelPacks();
+    }
+
+    /**
+     * Register the configured level packs and load the first one,
+     * falling back to the built-in levels if it can't be fetched
+     */
+    async loadLevelPacks() {
+        CONFIG.LEVEL_PACKS.forEach(pack => this.levelManager.registerPack(pack));
+
+        const packUrl = new URLSearchParams(window.location.search).get('pack');
+
+        try {
+            if (packUrl) {
+                await this.levelManager.loadPackFromUrl(packUrl);
+            } else {
+                await this.levelManager.switchPack(CONFIG.LEVEL_PACKS[0].id);
+            }
+            this.onPackLoaded();
+        } catch (error) {
+            console.warn(error);
+            this.levelManager.registerPack({ id: 'built-in', name: 'Built-in', levels: DEFAULT_LEVELS });
+            await this.levelManager.switchPack('built-in');
+            this.onPackLoaded();
+            this.setPackStatus(`${error.message} - using built-in levels`, true);
+        }
+
+        document.getElementById('startBtn')?.removeAttribute('disabled');
+        document.getElementById('levelMapBtn')?.removeAttribute('disabled');
+    }
+
+    /**
+     * Switch to another registered level pack
+     * @param {string} packId - Pack id
+     */
+    async selectPack(packId) {
+        this.setPackStatus('Loading levels...');
+
+        try {
+            await this.levelManager.switchPack(packId);
+            this.onPackLoaded();
+        } catch (error) {
+            this.renderPackOptions();
+            this.setPackStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Load a level pack from a URL typed by the player
+     * @param {string} url - Pack URL
+     */
+    async loadPackUrl(url) {
+        if (!url) return;
+
+        this.setPackStatus('Loading levels...');
+
+        try {
+            await this.levelManager.loadPackFromUrl(url);
+            this.onPackLoaded();
+        } catch (error) {
+            this.setPackStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Refresh the pack picker after a pack was loaded
+     */
+    onPackLoaded() {
+        const pack = this.levelManager.getCurrentPack();
+        const count = this.levelManager.getTotalLevels();
+
+        this.renderPackOptions();
+        this.setPackStatus(`${pack.name} - ${count} level${count === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Fill the pack selector with the registered packs
+     */
+    renderPackOptions() {
+        if (!this.packSelectEl) return;
+
+        this.packSelectEl.innerHTML = '';
+        this.levelManager.getPacks().forEach(pack => {
+            const option = document.createElement('option');
+            option.value = pack.id;
+            option.textContent = pack.name;
+            this.packSelectEl.appendChild(option);
+        });
+
+        this.packSelectEl.value = this.levelManager.currentPackId;
+    }
+
+    /**
+     * Show a status line under the pack picker
+     * @param {string} message - Status text
+     * @param {boolean} isError - Show as an error
+     */
+    setPackStatus(message, isError = false) {
+        if (this.packStatusEl) {
+            this.packStatusEl.textContent = message;
+            this.packStatusEl.classList.toggle('error', isError);
+        }
     }
 
     /**
@@ -55,11 +186,102 @@ class Game {
             this.startGame();
         });
 
+        // Level pack picker
+        this.packSelectEl?.addEventListener('change', () => {
+            this.selectPack(this.packSelectEl.value);
+        });
+
+        document.getElementById('packUrlBtn')?.addEventListener('click', () => {
+            this.loadPackUrl(document.getElementById('packUrlInput')?.value.trim());
+        });
+
+        // Level select map
+        document.getElementById('levelMapBtn')?.addEventListener('click', () => {
+            this.hideModal(this.startModal);
+            this.showLevelMap();
+        });
+
+        document.getElementById('mapCloseBtn')?.addEventListener('click', () => {
+            this.hideModal(this.mapModal);
+            this.showMenu();
+        });
+
+        // Level editor button
+        document.getElementById('editorBtn')?.addEventListener('click', () => {
+            this.hideModal(this.startModal);
+            this.openEditor();
+        });
+
+        // Level intro play button
+        document.getElementById('levelPlayBtn')?.addEventListener('click', () => {
+            this.hideModal(this.levelModal);
+        });
+
+        // Menu button - back to the start screen
+        document.getElementById('menuBtn')?.addEventListener('click', () => {
+            this.showMenu();
+        });
+
+        // Back to the level the menu was opened from
+        document.getElementById('resumeBtn')?.addEventListener('click', () => {
+            this.hideModal(this.startModal);
+        });
+
+        // Replay export / import
+        document.getElementById('replayBtn')?.addEventListener('click', () => {
+            this.setReplayStatus('');
+            this.showModal(this.replayModal);
+        });
+
+        document.getElementById('replayExportBtn')?.addEventListener('click', () => {
+            this.exportReplay();
+        });
+
+        document.getElementById('replayWatchBtn')?.addEventListener('click', () => {
+            this.watchReplay(document.getElementById('replayJson')?.value);
+        });
+
+        document.getElementById('replayCloseBtn')?.addEventListener('click', () => {
+            this.hideModal(this.replayModal);
+        });
+
+        // Replay playback controls
+        document.getElementById('replayRewindBtn')?.addEventListener('click', () => this.seekReplay(0));
+        document.getElementById('replayBackBtn')?.addEventListener('click', () => {
+            if (this.replay) this.seekReplay(this.replay.step - 1);
+        });
+        document.getElementById('replayForwardBtn')?.addEventListener('click', () => this.stepReplay());
+        document.getElementById('replayPlayBtn')?.addEventListener('click', () => this.toggleReplayPlayback());
+        document.getElementById('replayExitBtn')?.addEventListener('click', () => this.stopReplay());
+
+        const speedSelect = document.getElementById('replaySpeed');
+        if (speedSelect) {
+            CONFIG.REPLAY.SPEEDS.forEach(speed => {
+                const option = document.createElement('option');
+                option.value = speed;
+                option.textContent = `${speed}x`;
+                speedSelect.appendChild(option);
+            });
+            speedSelect.value = 1;
+            speedSelect.addEventListener('change', () => {
+                animationManager.setSpeed(Number(speedSelect.value));
+            });
+        }
+
         // Restart button
         document.getElementById('restartBtn')?.addEventListener('click', () => {
             this.restartLevel();
         });
 
+        // Undo buttons
+        document.getElementById('undoBtn')?.addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('loseUndoBtn')?.addEventListener('click', () => {
+            this.undo();
+        });
+
         // Hint button
         document.getElementById('hintBtn')?.addEventListener('click', () => {
             this.showHint();
@@ -68,14 +290,16 @@ class Game {
         // Next level button
         document.getElementById('nextLevelBtn')?.addEventListener('click', () => {
             this.hideModal(this.winModal);
-            if (this.levelManager.hasMoreLevels()) {
+            if (this.levelManager.isPlayingCustomLevel()) {
+                // Back to the editor after a play-test
+                this.openEditor();
+            } else if (this.levelManager.hasMoreLevels()) {
                 this.levelManager.nextLevel();
                 this.loadCurrentLevel();
+                this.showLevelIntro();
             } else {
-                // All levels complete
-                alert('Congratulations! You\'ve completed all levels!');
-                this.levelManager.startLevel(0);
-                this.loadCurrentLevel();
+                // All levels complete - pick one to replay from the map
+                this.showLevelMap('You\'ve completed every level! Replay any of them to earn more stars.');
             }
         });
 
@@ -84,74 +308,450 @@ class Game {
             this.hideModal(this.loseModal);
             this.restartLevel();
         });
+
+        // Switching tabs pauses the clock
+        document.addEventListener('visibilitychange', () => this.updatePause());
+
+        // Keyboard play
+        document.addEventListener('keydown', (event) => this.handleKeyDown(event));
     }
 
     /**
-     * Start the game
+     * Handle a key press: board keys go to the renderer, H, R and U work like
+     * their buttons and Escape closes a modal that has a close button
+     * @param {KeyboardEvent} event - Key press
+     */
+    handleKeyDown(event) {
+        // Leave browser shortcuts and typing in form fields alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest?.('input, textarea, select')) return;
+
+        const modal = document.querySelector('.modal.active');
+        if (modal) {
+            const closeButton = document.getElementById(Game.MODAL_CLOSE_BUTTONS[modal.id]);
+            if (event.key === 'Escape' && closeButton && !closeButton.hidden) {
+                closeButton.click();
+            }
+            return;
+        }
+
+        // Space and Enter still press whichever button has focus
+        const onBoard = event.target === document.body || event.target === this.boardElement;
+        if ((event.key === ' ' || event.key === 'Enter') && !onBoard) return;
+
+        if (this.boardRenderer.handleKey(event.key, event.shiftKey)) {
+            event.preventDefault();
+            this.boardElement.focus();
+            return;
+        }
+
+        if (event.repeat) return;
+
+        switch (event.key.toLowerCase()) {
+            case 'h':
+                this.showHint();
+                break;
+            case 'r':
+                this.restartLevel();
+                break;
+            case 'u':
+                this.undo();
+                break;
+        }
+    }
+
+    /**
+     * Show the start screen, offering to resume a level that's still being played
+     */
+    showMenu() {
+        const resumeBtn = document.getElementById('resumeBtn');
+        const canResume = !!this.levelManager.currentLevel && !this.levelManager.isGameOver();
+
+        this.showModal(this.startModal);
+        if (resumeBtn) {
+            resumeBtn.hidden = !canResume;
+            // Enter shouldn't throw the attempt away
+            if (canResume) resumeBtn.focus();
+        }
+    }
+
+    /**
+     * Start the game at the furthest unlocked level
      */
     startGame() {
-        this.levelManager.startLevel(0);
+        const packId = this.levelManager.currentPackId;
+        const unlocked = this.progressManager.getUnlockedCount(packId);
+
+        this.playLevel(Math.min(unlocked, this.levelManager.getTotalLevels()) - 1);
+    }
+
+    /**
+     * Start a level of the current pack
+     * @param {number} index - Level index (0-based)
+     */
+    playLevel(index) {
+        this.closeReplay();
+        this.levelManager.startLevel(index);
         this.loadCurrentLevel();
+        this.showLevelIntro();
     }
 
     /**
-     * Load and initialize current level
+     * Show the level select map for the current pack
+     * @param {string} message - Line shown above the levels
      */
-    loadCurrentLevel() {
+    showLevelMap(message = 'Win a level to unlock the next one.') {
+        const mapEl = document.getElementById('levelMap');
+        const packId = this.levelManager.currentPackId;
+        const playing = this.levelManager.currentLevel && !this.levelManager.isPlayingCustomLevel();
+        const current = playing ? this.levelManager.currentLevelIndex : -1;
+
+        document.getElementById('mapTitle').textContent = this.levelManager.getCurrentPack()?.name ?? 'Levels';
+        document.getElementById('mapMessage').textContent = message;
+
+        mapEl.replaceChildren(...this.levelManager.levels.map((level, index) => {
+            const unlocked = this.progressManager.isUnlocked(packId, index);
+            const record = this.progressManager.getLevelRecord(packId, level.id);
+            const button = document.createElement('button');
+
+            button.className = 'map-level';
+            button.classList.toggle('current', index === current);
+            button.disabled = !unlocked;
+            button.title = unlocked ? level.name : `${level.name} (locked)`;
+
+            const number = document.createElement('span');
+            number.className = 'map-level-number';
+            number.textContent = unlocked ? index + 1 : '🔒';
+
+            const stars = document.createElement('span');
+            const earned = record?.stars ?? 0;
+            stars.className = 'map-level-stars';
+            stars.textContent = '★'.repeat(earned) + '☆'.repeat(3 - earned);
+            stars.setAttribute('aria-label', `${earned} of 3 stars`);
+            stars.hidden = !unlocked;
+
+            const best = document.createElement('span');
+            best.className = 'map-level-best';
+            best.textContent = record ? `Best ${record.score} · ${record.moves} moves` : unlocked ? 'Not won yet' : 'Locked';
+
+            button.append(number, stars, best);
+            button.addEventListener('click', () => {
+                this.hideModal(this.mapModal);
+                this.playLevel(index);
+            });
+            return button;
+        }));
+
+        this.showModal(this.mapModal);
+    }
+
+    /**
+     * Open the level editor, starting from the level being play-tested if any
+     */
+    openEditor() {
+        const level = this.levelManager.isPlayingCustomLevel() ? this.levelManager.currentLevel : null;
+        this.levelEditor.open(level);
+        this.updatePause();
+        this.focusActiveView();
+    }
+
+    /**
+     * Play-test a level from the editor without reloading the page
+     * @param {Object} level - Level configuration
+     */
+    playCustomLevel(level) {
+        try {
+            this.levelManager.startCustomLevel(level);
+        } catch (error) {
+            this.levelEditor.setStatus(error.message, true);
+            return;
+        }
+
+        this.closeReplay();
+        this.levelEditor.close();
+        [this.startModal, this.winModal, this.loseModal].forEach(modal => this.hideModal(modal));
+        this.loadCurrentLevel();
+        this.showLevelIntro();
+    }
+
+    /**
+     * Show the current level's name and description
+     */
+    showLevelIntro() {
         const level = this.levelManager.currentLevel;
         if (!level) return;
 
-        // Create managers for this level
-        this.gridManager = new GridManager(level.gridWidth, level.gridHeight);
-        this.matchResolver = new MatchResolver(this.gridManager);
-        this.gravitySystem = new GravitySystem(this.gridManager);
-        this.characterController = new CharacterController(this.gridManager);
+        document.getElementById('levelModalTitle').textContent = this.levelManager.isPlayingCustomLevel()
+            ? 'Play-test'
+            : `Level ${this.levelManager.getCurrentLevelNumber()}`;
+        document.getElementById('levelModalName').textContent = level.name || '';
+        document.getElementById('levelModalDescription').textContent = level.description || '';
+        document.getElementById('levelModalGoals').textContent = this.engine.objectiveSystem.getProgress()
+            .map(goal => `${Game.describeObjective(goal)} ${goal.target}`)
+            .join(' · ');
+
+        this.showModal(this.levelModal);
+    }
 
-        // Initialize grid
-        this.gridManager.initialize(level);
+    /**
+     * Load and initialize current level
+     * @param {Object} options - { seed } to rebuild a specific board
+     */
+    loadCurrentLevel({ seed } = {}) {
+        const level = this.levelManager.currentLevel;
+        if (!level) return;
 
-        // Initialize character
-        this.characterController.initialize(
-            level.characterStart.x,
-            level.characterStart.y,
-            level.exitPosition.y
-        );
+        // Seed the board so it can be reproduced
+        this.engine = new GameEngine(level, seed ?? this.pickSeed(level));
+        if (this.seedValueEl) {
+            this.seedValueEl.textContent = this.engine.seed;
+        }
+        this.updateHazardInfo();
+        this.renderObjectives(this.engine.objectiveSystem.getProgress());
+        this.startTimer();
 
-        // Render grid
-        this.gridManager.render(this.boardElement);
+        // Every fresh attempt gets a new recording (replays don't record themselves)
+        if (!this.replay) {
+            this.replayManager.startRecording(this.getReplaySource(), this.engine.seed);
+        }
 
-        // Render character
-        this.renderCharacter();
+        // Fresh undo history for each attempt
+        this.undoManager = new UndoManager(level.undoLimit ?? CONFIG.UNDO.DEFAULT_LIMIT);
+        this.updateUndoButton();
 
-        // Set up swap callback
-        this.gridManager.setSwapCallback((x1, y1, x2, y2) => {
-            this.handleSwap(x1, y1, x2, y2);
-        });
+        // Render grid and character
+        this.boardRenderer.clearSelection();
+        this.boardRenderer.render(this.engine.getBoard());
 
         // Reset processing flag
         this.isProcessing = false;
+        this.heldEvents = [];
+    }
+
+    /**
+     * Choose the seed for a level: the level's own, then ?seed=<n>, else a fresh one
+     * @param {Object} level - Level configuration
+     * @returns {number}
+     */
+    pickSeed(level) {
+        if (Number.isInteger(level.seed)) return level.seed;
+
+        const urlSeed = parseInt(new URLSearchParams(window.location.search).get('seed'), 10);
+        if (Number.isInteger(urlSeed) && urlSeed >= 0) return urlSeed;
+
+        return SeededRandom.randomSeed();
+    }
+
+    /**
+     * Describe where the current level comes from, for replays
+     * @returns {Object} { pack, levelIndex, levelId } or { level } for custom levels
+     */
+    getReplaySource() {
+        const level = this.levelManager.currentLevel;
+
+        if (this.levelManager.isPlayingCustomLevel()) {
+            return { level: LevelEditor.copyLevel(level) };
+        }
+
+        return {
+            pack: this.levelManager.currentPackId,
+            levelIndex: this.levelManager.currentLevelIndex,
+            levelId: level.id
+        };
+    }
+
+    /**
+     * Put the current attempt's replay in the replay text area
+     */
+    exportReplay() {
+        const json = this.replayManager.serialize();
+        const textarea = document.getElementById('replayJson');
+
+        if (!json) {
+            this.setReplayStatus('Start a level first', true);
+            return;
+        }
+
+        if (textarea) textarea.value = json;
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json)
+                .then(() => this.setReplayStatus('Replay copied to clipboard'))
+                .catch(() => this.setReplayStatus('Replay ready to copy'));
+        } else {
+            this.setReplayStatus('Replay ready to copy');
+        }
+    }
+
+    /**
+     * Start watching a replay on the board
+     * @param {string} json - Replay JSON
+     */
+    async watchReplay(json) {
+        if (this.isProcessing) return;
+
+        let data;
+        try {
+            data = ReplayManager.parse(json);
+            await this.loadReplayLevel(data);
+        } catch (error) {
+            this.setReplayStatus(error.message, true);
+            return;
+        }
+
+        this.replay = { data, step: 0, playing: false };
+        this.restartReplayLevel();
+
+        [this.replayModal, this.startModal, this.winModal, this.loseModal, this.levelModal]
+            .forEach(modal => this.hideModal(modal));
+        this.replayBarEl?.classList.add('active');
+        this.updateReplayControls();
+    }
+
+    /**
+     * Make the replay's level current, switching packs if needed
+     * @param {Object} data - Parsed replay
+     */
+    async loadReplayLevel(data) {
+        if (data.level) {
+            this.levelManager.startCustomLevel(data.level);
+            return;
+        }
+
+        if (this.levelManager.currentPackId !== data.pack) {
+            if (this.levelManager.packs.has(data.pack)) {
+                await this.levelManager.switchPack(data.pack);
+            } else {
+                await this.levelManager.loadPackFromUrl(data.pack);
+            }
+            this.onPackLoaded();
+        }
+
+        const level = this.levelManager.getLevel(data.levelIndex);
+        if (!level || level.id !== data.levelId) {
+            throw new Error(`Level ${data.levelId} is not at position ${data.levelIndex + 1} in pack "${data.pack}"`);
+        }
+
+        this.levelManager.startLevel(data.levelIndex);
+    }
+
+    /**
+     * Rebuild the replay's starting board
+     */
+    restartReplayLevel() {
+        this.levelManager.restartLevel();
+        this.loadCurrentLevel({ seed: this.replay.data.seed });
+    }
+
+    /**
+     * Play the next recorded move, animated
+     */
+    async stepReplay() {
+        if (!this.replay || this.isProcessing) return;
+
+        const move = this.replay.data.moves[this.replay.step];
+        if (!move) return;
+
+        await this.handleSwap(...move, true);
+        this.replay.step++;
+        this.updateReplayControls();
+    }
+
+    /**
+     * Jump to a step by replaying the moves before it without animation
+     * @param {number} step - Number of moves to have played
+     */
+    async seekReplay(step) {
+        if (!this.replay || this.isProcessing) return;
+
+        this.replay.playing = false;
+        step = Math.max(0, Math.min(step, this.replay.data.moves.length));
+
+        // The engine needs no animation, so play the moves straight through it
+        this.restartReplayLevel();
+        this.replay.data.moves.slice(0, step).forEach(move => this.engine.swap(...move));
+        this.replay.step = step;
+
+        this.levelManager.setMovesRemaining(this.engine.movesRemaining);
+        this.levelManager.setScore(this.engine.scoreSystem.score);
+        this.renderObjectives(this.engine.objectiveSystem.getProgress());
+        if (this.engine.outcome === 'won') {
+            this.levelManager.triggerWin(this.engine.getResult());
+        } else if (this.engine.outcome === 'lost') {
+            this.levelManager.triggerLose();
+        }
+
+        this.boardRenderer.render(this.engine.getBoard());
+        this.updateReplayControls();
     }
 
     /**
-     * Render character on the board
+     * Play or pause continuous replay playback
      */
-    renderCharacter() {
-        // Remove existing character element if any
-        if (this.characterElement) {
-            this.characterElement.remove();
+    async toggleReplayPlayback() {
+        if (!this.replay) return;
+
+        if (this.replay.playing) {
+            this.replay.playing = false;
+            this.updateReplayControls();
+            return;
         }
 
-        const pos = this.characterController.getPosition();
-        if (!pos) return;
+        this.replay.playing = true;
+        this.updateReplayControls();
 
-        // Find the tile element at character position and replace it visually
-        const tileIndex = pos.y * this.gridManager.width + pos.x;
-        const tiles = this.boardElement.querySelectorAll('.tile');
-        const tileAtPosition = tiles[tileIndex];
+        while (this.replay?.playing && this.replay.step < this.replay.data.moves.length) {
+            await this.stepReplay();
+            await animationManager.wait(CONFIG.REPLAY.STEP_DELAY);
+        }
 
-        if (tileAtPosition) {
-            tileAtPosition.className = 'tile character';
-            this.characterElement = tileAtPosition;
+        if (this.replay) {
+            this.replay.playing = false;
+            this.updateReplayControls();
+        }
+    }
+
+    /**
+     * Stop watching and go back to a fresh attempt of the level
+     */
+    stopReplay() {
+        if (!this.replay || this.isProcessing) return;
+
+        this.closeReplay();
+        this.restartLevel();
+    }
+
+    /**
+     * Leave replay mode without touching the board
+     */
+    closeReplay() {
+        this.replay = null;
+        this.replayBarEl?.classList.remove('active');
+    }
+
+    /**
+     * Refresh the replay bar's step counter and play button
+     */
+    updateReplayControls() {
+        if (!this.replay) return;
+
+        const stepEl = document.getElementById('replayStep');
+        const playBtn = document.getElementById('replayPlayBtn');
+
+        if (stepEl) stepEl.textContent = `${this.replay.step} / ${this.replay.data.moves.length}`;
+        if (playBtn) playBtn.textContent = this.replay.playing ? '⏸' : '▶';
+    }
+
+    /**
+     * Show a status line in the replay modal
+     * @param {string} message - Status text
+     * @param {boolean} isError - Show as an error
+     */
+    setReplayStatus(message, isError = false) {
+        const statusEl = document.getElementById('replayStatus');
+        if (statusEl) {
+            statusEl.textContent = message;
+            statusEl.classList.toggle('error', isError);
         }
     }
 
@@ -161,164 +761,243 @@ class Game {
      * @param {number} y1 - First tile y
      * @param {number} x2 - Second tile x
      * @param {number} y2 - Second tile y
+     * @param {boolean} fromReplay - True when a replay is playing the move
      */
-    async handleSwap(x1, y1, x2, y2) {
+    async handleSwap(x1, y1, x2, y2, fromReplay = false) {
         if (this.isProcessing || this.levelManager.isGameOver()) return;
 
+        // The board belongs to the replay while one is being watched
+        if (this.replay && !fromReplay) return;
+
         this.isProcessing = true;
         this.levelManager.setState(CONFIG.STATE.SWAPPING);
 
-        // Get tile elements before swap
-        const tile1El = this.gridManager.getTileElement(x1, y1);
-        const tile2El = this.gridManager.getTileElement(x2, y2);
-
-        // Animate swap
-        await animationManager.animateSwap(tile1El, tile2El);
+        // State to go back to if this move is undone
+        const snapshot = this.engine.createSnapshot();
 
-        // Perform swap in grid
-        this.gridManager.swap(x1, y1, x2, y2);
+        const events = this.engine.swap(x1, y1, x2, y2);
 
-        // Check for matches
-        const hasMatch = this.matchResolver.checkSwapForMatches(x1, y1, x2, y2);
+        if (events[0]?.type === 'swapped') {
+            if (!fromReplay) {
+                this.replayManager.recordMove(x1, y1, x2, y2);
+            }
 
-        if (hasMatch) {
-            // Use a move
-            this.levelManager.useMove();
+            this.undoManager.push(snapshot);
+        }
 
-            // Process matches (cascade loop)
-            await this.processCascades();
+        await this.playEvents(events);
 
-            // Move character up if possible
-            await this.moveCharacter();
+        // A clock that ran out during the move ends the level once it has settled
+        await this.playEvents(this.heldEvents.splice(0));
+        this.updateUndoButton();
 
-            // Check win condition
-            if (this.characterController.hasEscaped()) {
-                this.levelManager.triggerWin();
-            } else if (this.levelManager.getMovesRemaining() <= 0) {
-                this.levelManager.triggerLose();
-            }
-        } else {
-            // Invalid swap - swap back
-            await animationManager.animateInvalidSwap(tile1El, tile2El);
-            this.gridManager.swap(x1, y1, x2, y2);
+        // Keep a win/lose result - it stops further swaps
+        if (!this.levelManager.isGameOver()) {
+            this.levelManager.setState(CONFIG.STATE.IDLE);
         }
+        this.isProcessing = false;
+    }
 
-        // Re-render grid
-        this.gridManager.rerender();
-        this.renderCharacter();
+    /**
+     * Undo the most recent move, including its cascades and refills
+     */
+    undo() {
+        if (this.isProcessing || this.replay || this.levelManager.hasWon()) return;
 
-        // Reattach swap callback
-        this.gridManager.setSwapCallback((x1, y1, x2, y2) => {
-            this.handleSwap(x1, y1, x2, y2);
-        });
+        const snapshot = this.undoManager?.pop();
+        if (!snapshot) return;
 
-        this.levelManager.setState(CONFIG.STATE.IDLE);
-        this.isProcessing = false;
+        this.engine.restoreSnapshot(snapshot);
+        this.levelManager.setMovesRemaining(this.engine.movesRemaining);
+        this.levelManager.setScore(this.engine.scoreSystem.score);
+        if (this.engine.isTimed()) {
+            this.levelManager.setTimeRemaining(this.engine.timeRemaining);
+        }
+        this.renderObjectives(this.engine.objectiveSystem.getProgress());
+        this.replayManager.removeLastMove();
+
+        this.hideModal(this.loseModal);
+        this.boardRenderer.render(this.engine.getBoard());
+        this.updateUndoButton();
     }
 
     /**
-     * Process match cascades
+     * Refresh the undo button's count and enabled state
      */
-    async processCascades() {
-        let hasMatches = true;
+    updateUndoButton() {
+        const undoBtn = document.getElementById('undoBtn');
+        const undoCount = document.getElementById('undoCount');
+        const remaining = this.undoManager ? this.undoManager.getRemaining() : 0;
 
-        while (hasMatches) {
-            this.levelManager.setState(CONFIG.STATE.MATCHING);
+        if (undoCount) undoCount.textContent = remaining === Infinity ? '∞' : remaining;
+        if (undoBtn) undoBtn.disabled = !this.undoManager?.canUndo() || !!this.replay;
+    }
 
-            // Find all matches
-            const matches = this.matchResolver.findAllMatches();
+    /**
+     * Animate engine events in order, keeping the level manager in step
+     * @param {Object[]} events - Events from GameEngine.swap
+     */
+    async playEvents(events) {
+        for (const event of events) {
+            await this.playEvent(event);
+        }
+    }
+
+    /**
+     * Animate a single engine event
+     * @param {Object} event - Event from GameEngine.swap
+     */
+    async playEvent(event) {
+        const renderer = this.boardRenderer;
+
+        switch (event.type) {
+            case 'swapped':
+                await animationManager.animateSwap(
+                    renderer.getTileElement(event.from.x, event.from.y),
+                    renderer.getTileElement(event.to.x, event.to.y)
+                );
+                this.levelManager.useMove();
+                renderer.render(event.board);
+                break;
 
-            if (matches.length === 0) {
-                hasMatches = false;
+            case 'rejected': {
+                // Invalid swap - swap there and back
+                const tile1El = renderer.getTileElement(event.from.x, event.from.y);
+                const tile2El = renderer.getTileElement(event.to.x, event.to.y);
+                await animationManager.animateSwap(tile1El, tile2El);
+                await animationManager.animateInvalidSwap(tile1El, tile2El);
                 break;
             }
 
-            // Process matches
-            const { clearedPositions, specialTiles } = this.matchResolver.processMatches(matches);
+            case 'matched':
+                this.levelManager.setState(CONFIG.STATE.MATCHING);
+                await animationManager.animateMatch(renderer.getTileElements(event.positions));
+                break;
 
-            // Animate match destruction
-            const matchedElements = clearedPositions.map(pos =>
-                this.gridManager.getTileElement(pos.x, pos.y)
-            ).filter(el => el);
+            case 'specialFired':
+                this.levelManager.setState(CONFIG.STATE.MATCHING);
+                await animationManager.animateSpecialActivation(
+                    event.special,
+                    renderer.getTileElements(event.affectedPositions)
+                );
+                break;
 
-            await animationManager.animateMatch(matchedElements);
+            case 'cleared':
+                renderer.render(event.board);
+                if (event.damaged.length > 0) {
+                    await animationManager.animateDamage(renderer.getTileElements(event.damaged));
+                }
+                break;
 
-            // Clear matched tiles
-            clearedPositions.forEach(pos => {
-                this.gridManager.setEmpty(pos.x, pos.y);
-            });
+            case 'fell':
+                this.levelManager.setState(CONFIG.STATE.FALLING);
+                renderer.render(event.board);
+                break;
 
-            // Create special tiles
-            specialTiles.forEach(special => {
-                const tile = new Tile(special.color, special.position.x, special.position.y);
-                tile.setSpecial(special.type);
-                this.gridManager.setTile(special.position.x, special.position.y, tile);
-            });
+            case 'spawned':
+                renderer.render(event.board);
+                await animationManager.animateSpawn(renderer.getTileElements(event.positions));
 
-            // Re-render after matches
-            this.gridManager.rerender();
-            this.renderCharacter();
-            this.gridManager.setSwapCallback((x1, y1, x2, y2) => {
-                this.handleSwap(x1, y1, x2, y2);
-            });
+                // Small delay before the next cascade
+                await animationManager.wait(CONFIG.ANIMATION.CASCADE_DELAY);
+                break;
 
-            // Apply gravity
-            this.levelManager.setState(CONFIG.STATE.FALLING);
+            case 'characterMoved':
+                this.levelManager.setState(CONFIG.STATE.CHARACTER_MOVING);
+
+                // One cell at a time along the path, the others stay where they are
+                for (const step of event.path) {
+                    const characterPositions = [...event.board.characterPositions];
+                    characterPositions[event.character] = step;
+                    renderer.render({ ...event.board, characterPositions });
+                    renderer.getTileElement(step.x, step.y)?.classList.add('walking');
+                    await animationManager.wait(CONFIG.ANIMATION.CHARACTER_STEP);
+                }
+                renderer.render(event.board);
+                break;
 
-            const { newTiles } = this.gravitySystem.processGravity();
+            case 'slimeSpread':
+                renderer.render(event.board);
+                await animationManager.animateHazard(renderer.getTileElements([event.to]));
+                break;
 
-            // Re-render after gravity
-            this.gridManager.rerender();
-            this.renderCharacter();
-            this.gridManager.setSwapCallback((x1, y1, x2, y2) => {
-                this.handleSwap(x1, y1, x2, y2);
-            });
+            case 'waterRose':
+                this.showBanner('The water is rising!');
+                renderer.render(event.board);
+                await animationManager.animateHazard(renderer.getTileElements(event.positions));
+                this.hideBanner();
+                break;
 
-            // Animate new tiles
-            if (newTiles.length > 0) {
-                const newElements = newTiles.map(nt =>
-                    this.gridManager.getTileElement(nt.x, nt.y)
-                ).filter(el => el);
-                await animationManager.animateSpawn(newElements);
-            }
+            case 'shuffled':
+                this.showBanner('No moves – shuffling');
+                await animationManager.animateShuffle(renderer.getTileElements(event.positions));
+                renderer.render(event.board);
+                await animationManager.animateSpawn(renderer.getTileElements(event.positions));
+                this.hideBanner();
+                break;
 
-            // Small delay before checking for new cascades
-            await animationManager.wait(CONFIG.ANIMATION.CASCADE_DELAY);
+            case 'scored':
+                this.levelManager.setScore(event.score);
+
+                // Call out cascades
+                if (event.reason === 'clear' && event.combo > 1) {
+                    this.showBanner(`Combo ×${event.combo}!`);
+                    await animationManager.wait(CONFIG.ANIMATION.COMBO);
+                    this.hideBanner();
+                }
+                break;
+
+            case 'progressed':
+                this.renderObjectives(event.objectives);
+                break;
+
+            case 'timeAdded':
+                // The clock has kept running since the move was made
+                this.levelManager.setTimeRemaining(this.engine.timeRemaining);
+                this.showBanner(`+${event.seconds}s`);
+                await animationManager.wait(CONFIG.ANIMATION.TIME_BONUS);
+                this.hideBanner();
+                break;
+
+            case 'won':
+                this.levelManager.triggerWin(event);
+                break;
+
+            case 'lost':
+                this.levelManager.triggerLose(event.reason);
+                break;
         }
     }
 
     /**
-     * Move character up if possible
+     * Show a message over the board
+     * @param {string} message - Banner text
      */
-    async moveCharacter() {
-        this.levelManager.setState(CONFIG.STATE.CHARACTER_MOVING);
-
-        const movements = this.characterController.moveToHighestEmpty();
-
-        if (movements.length > 0) {
-            // Re-render to show new character position
-            this.gridManager.rerender();
-            this.renderCharacter();
-            this.gridManager.setSwapCallback((x1, y1, x2, y2) => {
-                this.handleSwap(x1, y1, x2, y2);
-            });
-
-            // Animate character movement
-            await animationManager.wait(CONFIG.ANIMATION.CHARACTER_MOVE);
+    showBanner(message) {
+        if (this.bannerEl) {
+            this.bannerEl.textContent = message;
+            this.bannerEl.classList.add('active');
         }
     }
 
+    /**
+     * Hide the board message
+     */
+    hideBanner() {
+        this.bannerEl?.classList.remove('active');
+    }
+
     /**
      * Show hint - highlight a valid move
      */
     async showHint() {
         if (this.isProcessing) return;
 
-        const hint = this.gridManager.findHint();
+        const hint = this.engine?.findHint();
 
         if (hint) {
-            const tile1 = this.gridManager.getTileElement(hint.x1, hint.y1);
-            const tile2 = this.gridManager.getTileElement(hint.x2, hint.y2);
+            const tile1 = this.boardRenderer.getTileElement(hint.x1, hint.y1);
+            const tile2 = this.boardRenderer.getTileElement(hint.x2, hint.y2);
 
             await animationManager.highlightTiles([tile1, tile2].filter(t => t));
         }
@@ -328,6 +1007,15 @@ class Game {
      * Restart current level
      */
     restartLevel() {
+        // A move still playing out would finish on the new attempt
+        if (this.isProcessing) return;
+
+        // Restarting a replay rewinds it
+        if (this.replay) {
+            this.seekReplay(0);
+            return;
+        }
+
         this.levelManager.restartLevel();
         this.loadCurrentLevel();
     }
@@ -335,11 +1023,20 @@ class Game {
     /**
      * Callback when level is loaded
      * @param {Object} level - Level configuration
-     * @param {number} levelNumber - Level number (1-based)
+     * @param {number|null} levelNumber - Level number (1-based), null for custom levels
      */
     onLevelLoaded(level, levelNumber) {
         if (this.levelNumberEl) {
-            this.levelNumberEl.textContent = levelNumber;
+            this.levelNumberEl.textContent = levelNumber ?? '✎';
+        }
+
+        // Timed levels show the clock, and the moves only if they're limited too
+        if (this.timeInfoEl) {
+            this.timeInfoEl.hidden = !this.levelManager.isTimed();
+        }
+
+        if (this.movesInfoEl) {
+            this.movesInfoEl.hidden = this.levelManager.maxMoves === Infinity;
         }
     }
 
@@ -359,6 +1056,111 @@ class Game {
                 this.movesCountEl.classList.remove('low');
             }
         }
+
+        this.updateHazardInfo();
+    }
+
+    /**
+     * Callback when the score changes
+     * @param {number} score - Current score
+     */
+    onScoreChanged(score) {
+        if (this.scoreCountEl) {
+            this.scoreCountEl.textContent = score;
+        }
+    }
+
+    /**
+     * Callback when the clock changes on a timed level
+     * @param {number} remaining - Seconds remaining
+     * @param {number} limit - The level's time limit
+     */
+    onTimeChanged(remaining, limit) {
+        if (!this.timeCountEl) return;
+
+        const seconds = Math.ceil(remaining);
+        this.timeCountEl.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        this.timeCountEl.classList.toggle('low', seconds <= CONFIG.TIMER.WARNING);
+    }
+
+    /**
+     * Start the clock for a timed level (a level without a time limit stops it)
+     */
+    startTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (!this.engine.isTimed()) return;
+
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => this.tickTimer(), CONFIG.TIMER.TICK);
+        this.updatePause();
+    }
+
+    /**
+     * Move the clock on - it keeps running while moves play out, but holds
+     * while paused or while a replay plays
+     */
+    tickTimer() {
+        const now = performance.now();
+        const seconds = (now - this.lastTick) / 1000;
+        this.lastTick = now;
+
+        if (this.replay || this.levelManager.isGameOver() || this.levelManager.isPaused()) return;
+
+        const events = this.engine.tick(seconds);
+        this.levelManager.setTimeRemaining(this.engine.timeRemaining);
+
+        if (this.isProcessing) {
+            this.heldEvents.push(...events);
+        } else {
+            this.playEvents(events);
+        }
+    }
+
+    /**
+     * Pause play while a modal is open or the tab is hidden, and resume once neither is
+     */
+    updatePause() {
+        if (document.hidden || document.querySelector('.modal.active')) {
+            this.levelManager.pause();
+        } else if (this.levelManager.isPaused()) {
+            this.levelManager.resume();
+
+            // Time spent paused doesn't count
+            this.lastTick = performance.now();
+        }
+    }
+
+    /**
+     * Show each goal of the level and how far along it is
+     * @param {Object[]} objectives - From ObjectiveSystem.getProgress
+     */
+    renderObjectives(objectives) {
+        if (!this.objectiveListEl) return;
+
+        this.objectiveListEl.replaceChildren(...objectives.map(goal => {
+            const item = document.createElement('li');
+            item.className = goal.done ? 'objective done' : 'objective';
+            item.textContent = `${Game.describeObjective(goal)} ${goal.current}/${goal.target}`;
+            return item;
+        }));
+    }
+
+    /**
+     * Show how many moves are left before each of the level's hazards grows
+     */
+    updateHazardInfo() {
+        if (!this.hazardInfoEl) return;
+
+        const water = this.engine?.getMovesUntilHazard(HazardSystem.TYPES.WATER) ?? null;
+        const slime = this.engine?.getMovesUntilHazard(HazardSystem.TYPES.SLIME) ?? null;
+        const parts = [];
+
+        if (water !== null) parts.push(`🌊 Water rises in ${water}`);
+        if (slime !== null) parts.push(`🟢 Slime spreads in ${slime}`);
+
+        this.hazardInfoEl.textContent = parts.join(' · ');
+        this.hazardInfoEl.hidden = parts.length === 0;
     }
 
     /**
@@ -366,11 +1168,39 @@ class Game {
      * @param {Object} data - Win data
      */
     onWin(data) {
+        if (this.replay) return;
+
         const winMovesEl = document.getElementById('winMoves');
         if (winMovesEl) {
             winMovesEl.textContent = data.movesUsed;
         }
 
+        document.getElementById('winFreed').textContent = `${data.freed} / ${data.characters}`;
+        document.getElementById('winScore').textContent = data.score;
+
+        // Play-tests from the editor don't count towards progress
+        const { isNewBest } = this.levelManager.isPlayingCustomLevel()
+            ? { isNewBest: false }
+            : this.progressManager.recordWin(
+                this.levelManager.currentPackId,
+                this.levelManager.currentLevelIndex,
+                this.levelManager.currentLevel.id,
+                data
+            );
+        document.getElementById('winBest').hidden = !isNewBest;
+
+        const winStarsEl = document.getElementById('winStars');
+        winStarsEl.replaceChildren(...[1, 2, 3].map(star => {
+            const starEl = document.createElement('span');
+            starEl.className = star <= data.stars ? 'win-star earned' : 'win-star';
+            starEl.textContent = '★';
+            return starEl;
+        }));
+        winStarsEl.setAttribute('aria-label', `${data.stars} of 3 stars`);
+        document.getElementById('winMessage').textContent = data.characters > 1
+            ? `You freed ${data.freed} of ${data.characters} trapped people!`
+            : 'You freed the trapped person!';
+
         this.showModal(this.winModal);
     }
 
@@ -379,6 +1209,18 @@ class Game {
      * @param {Object} data - Lose data
      */
     onLose(data) {
+        if (this.replay) return;
+
+        // Undo doesn't turn back the clock, so it can't save a level that ran out of time
+        const loseUndoBtn = document.getElementById('loseUndoBtn');
+        if (loseUndoBtn) {
+            loseUndoBtn.hidden = !this.undoManager?.canUndo() || data.reason === 'time';
+        }
+
+        const { title, message } = Game.LOSE_MESSAGES[data.reason] || Game.LOSE_MESSAGES.moves;
+        document.getElementById('loseTitle').textContent = title;
+        document.getElementById('loseMessage').textContent = message;
+
         this.showModal(this.loseModal);
     }
 
@@ -389,7 +1231,9 @@ class Game {
     showModal(modal) {
         if (modal) {
             modal.classList.add('active');
+            this.focusActiveView(modal);
         }
+        this.updatePause();
     }
 
     /**
@@ -398,11 +1242,65 @@ class Game {
      */
     hideModal(modal) {
         if (modal) {
+            const hadFocus = modal.contains(document.activeElement);
             modal.classList.remove('active');
+
+            // Hand focus on rather than losing it with the modal
+            if (hadFocus) this.focusActiveView();
         }
+        this.updatePause();
+    }
+
+    /**
+     * Focus a modal's main button (or its first one), or the board if no modal is open
+     * @param {HTMLElement|null} modal - Modal to focus (defaults to the open one)
+     */
+    focusActiveView(modal = document.querySelector('.modal.active')) {
+        const target = modal
+            ? modal.querySelector('.btn-primary:not([disabled])') || modal.querySelector('button:not([disabled])')
+            : this.boardElement;
+        target?.focus();
+    }
+
+    /**
+     * Name a goal for the HUD and the level intro
+     * @param {Object} goal - { type, color? } from ObjectiveSystem.getProgress
+     * @returns {string}
+     */
+    static describeObjective(goal) {
+        const label = Game.OBJECTIVE_LABELS[goal.type] || goal.type;
+        return goal.color ? `${Game.COLOR_ICONS[goal.color]} ${label}` : label;
     }
 }
 
+// Lose modal text for each reason the engine reports
+Game.LOSE_MESSAGES = Object.freeze({
+    moves: { title: 'Out of Moves!', message: 'The person is still trapped...' },
+    time: { title: 'Out of Time!', message: 'The clock ran out...' },
+    noMoves: { title: 'Stuck!', message: 'No moves are left on the board...' },
+    flooded: { title: 'Flooded!', message: 'The water reached the person...' }
+});
+
+// How each kind of goal is shown
+Game.OBJECTIVE_LABELS = Object.freeze({
+    escape: '🧍 Free',
+    collect: 'Collect',
+    ice: '❄️ Break ice',
+    stones: '🧱 Break stones',
+    score: '⭐ Score'
+});
+
+Game.COLOR_ICONS = Object.freeze({ red: '🔴', blue: '🔵', green: '🟢', yellow: '🟡', purple: '🟣' });
+
+// The button Escape presses in each modal that can be closed
+Game.MODAL_CLOSE_BUTTONS = Object.freeze({
+    startModal: 'resumeBtn',
+    levelModal: 'levelPlayBtn',
+    mapModal: 'mapCloseBtn',
+    replayModal: 'replayCloseBtn',
+    editorScreen: 'editorCloseBtn'
+});
+
 // Start game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.game = new Game();
@@ -1,6 +1,12 @@
 /**
  * Character Controller
- * Manages the trapped person's movement and escape logic
+ * Manages the trapped people's movement and escape logic
+ *
+ * Characters walk up, left or right through connected empty cells (never
+ * down, and never through each other). After each clear every character
+ * still trapped heads for the reachable cell closest to any exit, measured
+ * along paths that avoid stones. A character that reaches an exit leaves
+ * the board; the level is won once the escape quota is met.
  */
 
 class CharacterController {
@@ -10,156 +16,291 @@ class CharacterController {
      */
     constructor(gridManager) {
         this.gridManager = gridManager;
-        this.character = null;
-        this.exitY = 0;
+        this.characters = [];
+        this.exitPositions = [];
+        this.escapeQuota = 0;
+        this.directions = [CONFIG.DIRECTIONS.UP, CONFIG.DIRECTIONS.LEFT, CONFIG.DIRECTIONS.RIGHT];
     }
 
     /**
-     * Initialize character at starting position
-     * @param {number} x - Starting x position
-     * @param {number} y - Starting y position
-     * @param {number} exitY - Y position of exit (typically 0)
+     * Put the characters on their starting cells
+     * @param {Object[]} starts - {x, y} of each character, in order
+     * @param {Object[]} exitPositions - {x, y} of each exit
+     * @param {number} escapeQuota - Characters that must escape to win (defaults to all of them)
      */
-    initialize(x, y, exitY = 0) {
-        this.character = new Character(x, y);
-        this.exitY = exitY;
+    initialize(starts, exitPositions, escapeQuota = starts.length) {
+        this.characters = starts.map(({ x, y }, id) => new Character(x, y, id));
+        this.exitPositions = exitPositions.map(pos => ({ ...pos }));
+        this.escapeQuota = Math.min(escapeQuota, starts.length);
 
-        // Mark character position in grid
-        this.gridManager.updateCharacterPosition(x, y, x, y);
+        // Mark character positions in grid
+        this.characters.forEach(character => {
+            this.gridManager.updateCharacterPosition(character.id, character.getPosition());
+        });
     }
 
     /**
-     * Try to move character upward
-     * @returns {Object|null} { fromY, toY } if moved, null if couldn't move
+     * Walk a character through connected empty cells to the one closest to an exit
+     * @param {Character} character - Character to move (defaults to the first)
+     * @returns {Object[]} Cells stepped through in order, ending where the character stopped
      */
-    tryMoveUp() {
-        if (!this.character || this.character.isMoving) return null;
+    moveTowardExit(character = this.characters[0]) {
+        if (!character || character.hasEscaped) return [];
 
-        const { x, y } = this.character.getPosition();
+        const path = this.findBestPath(character);
+        const end = path[path.length - 1];
 
-        // Check if can move up
-        if (y <= 0) return null; // Already at top
+        if (end) {
+            character.moveTo(end.x, end.y);
+            this.gridManager.updateCharacterPosition(character.id, end);
+        }
+
+        // Escaped characters leave the board, freeing the exit for the others
+        if (this.isExitPosition(character.x, character.y)) {
+            character.escape();
+            this.gridManager.updateCharacterPosition(character.id, null);
+        }
 
-        const tileAbove = this.gridManager.getTile(x, y - 1);
+        return path;
+    }
 
-        // Can move if tile above is empty or is the exit
-        const canMove = tileAbove && (tileAbove.isEmpty() || tileAbove.isExit());
+    /**
+     * Find the shortest walk to the reachable cell closest to an exit
+     * @param {Character} character - Character to route
+     * @returns {Object[]} Steps (excluding the current cell), empty if no cell is closer
+     */
+    findBestPath(character) {
+        const start = character.getPosition();
+        const exitDistances = this.getExitDistances();
+        const { order, previous } = this.search([start], this.directions, (x, y) => this.isWalkable(x, y));
 
-        if (canMove) {
-            const fromY = y;
-            const toY = y - 1;
+        // BFS order means the first cell found at the best distance is also the shortest walk
+        let best = start;
+        let bestDistance = exitDistances.get(this.positionKey(start)) ?? Infinity;
 
-            // Update character position
-            this.character.moveTo(x, toY);
-            this.gridManager.updateCharacterPosition(x, fromY, x, toY);
+        order.forEach(pos => {
+            const distance = exitDistances.get(this.positionKey(pos)) ?? Infinity;
+            if (distance < bestDistance) {
+                best = pos;
+                bestDistance = distance;
+            }
+        });
 
-            return { fromY, toY, x };
-        }
+        return this.buildPath(previous, best);
+    }
+
+    /**
+     * Get each cell's walking distance to the nearest exit, going around stones
+     * (tiles count as passable - they can be cleared)
+     * @returns {Map} Position key -> number of steps
+     */
+    getExitDistances() {
+        // Search backwards from the exits, so reverse the walking directions
+        const reversed = this.directions.map(dir => ({ x: -dir.x, y: -dir.y }));
+        const { order, previous } = this.search(this.exitPositions, reversed, (x, y) => this.isPassable(x, y));
+        const distances = new Map();
 
-        return null;
+        order.forEach(pos => {
+            const key = this.positionKey(pos);
+            const from = previous.get(key);
+            distances.set(key, from ? distances.get(this.positionKey(from)) + 1 : 0);
+        });
+
+        return distances;
     }
 
     /**
-     * Move character up as far as possible
-     * @returns {Object[]} Array of movements { fromY, toY, x }
+     * Breadth-first search from one or more cells
+     * @param {Object[]} starts - {x, y} cells to start from
+     * @param {Object[]} directions - Steps that may be taken
+     * @param {Function} canEnter - (x, y) => boolean
+     * @returns {Object} { order: positions in visit order, previous: Map of key -> previous position }
      */
-    moveToHighestEmpty() {
-        const movements = [];
+    search(starts, directions, canEnter) {
+        const previous = new Map(starts.map(start => [this.positionKey(start), null]));
+        const order = starts.map(({ x, y }) => ({ x, y }));
+
+        for (let i = 0; i < order.length; i++) {
+            const pos = order[i];
+
+            // Nothing continues past an exit
+            if (i >= starts.length && this.isExitPosition(pos.x, pos.y)) continue;
+
+            directions.forEach(dir => {
+                const next = { x: pos.x + dir.x, y: pos.y + dir.y };
+                const key = this.positionKey(next);
 
-        let movement = this.tryMoveUp();
-        while (movement) {
-            movements.push(movement);
+                if (!previous.has(key) && this.gridManager.isValidPosition(next.x, next.y) && canEnter(next.x, next.y)) {
+                    previous.set(key, pos);
+                    order.push(next);
+                }
+            });
+        }
+
+        return { order, previous };
+    }
 
-            // Check if reached exit
-            if (this.hasEscaped()) break;
+    /**
+     * Follow search links back from a cell
+     * @param {Map} previous - Links from search()
+     * @param {Object} end - {x, y} to end on
+     * @returns {Object[]} Positions from the first step to end
+     */
+    buildPath(previous, end) {
+        const path = [];
 
-            movement = this.tryMoveUp();
+        for (let pos = end; previous.get(this.positionKey(pos)); pos = previous.get(this.positionKey(pos))) {
+            path.unshift(pos);
         }
 
-        return movements;
+        return path;
+    }
+
+    /**
+     * Check if a character can step onto a cell right now (empty and not
+     * taken by another character, or an exit)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isWalkable(x, y) {
+        const tile = this.gridManager.getTile(x, y);
+        if (!tile) return false;
+
+        return tile.isExit() || (tile.isEmpty() && !this.gridManager.isCharacterAt(x, y));
+    }
+
+    /**
+     * Check if a cell could ever be walked through (anything but a stone
+     * that never breaks)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isPassable(x, y) {
+        const tile = this.gridManager.getTile(x, y);
+        return !!tile && (!tile.isBlocker() || tile.isBreakable());
+    }
+
+    /**
+     * Check if a cell is an exit
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isExitPosition(x, y) {
+        return this.exitPositions.some(exit => exit.x === x && exit.y === y);
+    }
+
+    /**
+     * Build a lookup key for a position
+     * @param {Object} pos - {x, y}
+     * @returns {string}
+     */
+    positionKey(pos) {
+        return `${pos.x},${pos.y}`;
     }
 
     /**
-     * Check if character has reached the exit
+     * Check if enough characters have escaped to win
      * @returns {boolean}
      */
     hasEscaped() {
-        if (!this.character) return false;
-        return this.character.y <= this.exitY;
+        return this.escapeQuota > 0 && this.getEscapedCount() >= this.escapeQuota;
+    }
+
+    /**
+     * Count the characters that have reached an exit
+     * @returns {number}
+     */
+    getEscapedCount() {
+        return this.characters.filter(character => character.hasEscaped).length;
     }
 
     /**
-     * Get current character position
-     * @returns {{x: number, y: number}|null}
+     * Get the characters still on the board
+     * @returns {Character[]}
      */
-    getPosition() {
-        return this.character?.getPosition() || null;
+    getTrappedCharacters() {
+        return this.characters.filter(character => !character.hasEscaped);
     }
 
     /**
-     * Reset character to starting position
+     * Reset every character to its starting position
      */
     reset() {
-        if (this.character) {
-            const { startX, startY } = this.character;
-            this.character.reset();
-            this.gridManager.updateCharacterPosition(
-                this.character.x,
-                this.character.y,
-                startX,
-                startY
-            );
-        }
+        this.characters.forEach(character => {
+            character.reset();
+            this.gridManager.updateCharacterPosition(character.id, character.getPosition());
+        });
     }
 
     /**
-     * Get the character instance
-     * @returns {Character|null}
+     * Capture the characters' state
+     * @returns {Object[]} Array of { x, y, hasEscaped }
      */
-    getCharacter() {
-        return this.character;
+    getState() {
+        return this.characters.map(({ x, y, hasEscaped }) => ({ x, y, hasEscaped }));
     }
 
     /**
-     * Check if a position is directly above character
-     * @param {number} x - X position to check
-     * @param {number} y - Y position to check
-     * @returns {boolean}
+     * Restore state from getState (the grid keeps its own copy of the positions)
+     * @param {Object[]} state - Array of { x, y, hasEscaped }
      */
-    isPositionAboveCharacter(x, y) {
-        if (!this.character) return false;
-        const { x: cx, y: cy } = this.character.getPosition();
-        return x === cx && y < cy;
+    restoreState(state) {
+        if (!state) return;
+
+        state.forEach((saved, id) => {
+            const character = this.characters[id];
+            if (!character) return;
+
+            character.moveTo(saved.x, saved.y);
+            character.hasEscaped = saved.hasEscaped;
+            character.isMoving = false;
+        });
     }
 
     /**
-     * Get the path from character to exit
-     * @returns {Object[]} Array of positions on the path
+     * Get a character instance
+     * @param {number} id - Character index (defaults to the first)
+     * @returns {Character|null}
      */
-    getPathToExit() {
-        if (!this.character) return [];
+    getCharacter(id = 0) {
+        return this.characters[id] || null;
+    }
 
-        const path = [];
-        const { x } = this.character.getPosition();
+    /**
+     * Get all character instances
+     * @returns {Character[]}
+     */
+    getCharacters() {
+        return this.characters;
+    }
 
-        for (let y = this.character.y - 1; y >= this.exitY; y--) {
-            path.push({ x, y });
-        }
+    /**
+     * Get the shortest route from a character to the nearest exit around stones,
+     * whether or not its cells are clear yet
+     * @param {Character} character - Character to route (defaults to the first)
+     * @returns {Object[]} Positions on the path, ending on an exit (empty if there is none)
+     */
+    getPathToExit(character = this.characters[0]) {
+        if (!character || character.hasEscaped) return [];
 
-        return path;
+        const { order, previous } = this.search([character.getPosition()], this.directions, (x, y) => this.isPassable(x, y));
+        const exit = order.find((pos, i) => i > 0 && this.isExitPosition(pos.x, pos.y));
+
+        return exit ? this.buildPath(previous, exit) : [];
     }
 
     /**
-     * Check if character is blocked
+     * Check if a character is blocked (no empty cell to step into)
+     * @param {Character} character - Character to check (defaults to the first)
      * @returns {boolean}
      */
-    isBlocked() {
-        if (!this.character) return true;
-
-        const { x, y } = this.character.getPosition();
-        if (y <= 0) return false; // At top, not blocked
+    isBlocked(character = this.characters[0]) {
+        if (!character) return true;
 
-        const tileAbove = this.gridManager.getTile(x, y - 1);
-        return !tileAbove || (!tileAbove.isEmpty() && !tileAbove.isExit());
+        const { x, y } = character.getPosition();
+        return !this.directions.some(dir => this.isWalkable(x + dir.x, y + dir.y));
     }
 }
@@ -0,0 +1,147 @@
+/**
+ * Damage System
+ * Decides what a hit does to a cell - locks, ice, chains and breakable blockers
+ * soak hits before anything is cleared
+ *
+ * Hits are counted per pass (one match wave, combo or color bomb): every cell
+ * takes at most one hit per pass, however many matches or blasts reach it.
+ *   - A locked tile is released instead of cleared
+ *   - Iced tiles lose a layer and clear with the last one; chained tiles lose a
+ *     chain and stay until the last one breaks
+ *   - A cleared colored tile hits its neighbors: locks open, crates and crackable
+ *     stones crack, and if a blast cleared it, ice next to it cracks too
+ *   - Blasts hit crates and crackable stones in their area directly
+ */
+
+class DamageSystem {
+    /**
+     * Create damage system
+     * @param {GridManager} gridManager - Reference to grid manager
+     */
+    constructor(gridManager) {
+        this.gridManager = gridManager;
+    }
+
+    /**
+     * Start a pass
+     * @returns {Object} { hit: Set of position keys, clearedPositions: [], damagedPositions: [] }
+     */
+    createPass() {
+        return { hit: new Set(), clearedPositions: [], damagedPositions: [] };
+    }
+
+    /**
+     * Hit the cell at a position once
+     * @param {Object} pos - {x, y} position
+     * @param {Object} pass - Pass from createPass
+     * @param {string} cause - DamageSystem.CAUSES.MATCH or BLAST
+     * @returns {boolean} True if the tile will be cleared
+     */
+    hit(pos, pass, cause = DamageSystem.CAUSES.MATCH) {
+        if (!this.claim(pos, pass)) return false;
+
+        const tile = this.gridManager.getTile(pos.x, pos.y);
+        if (!tile) return false;
+
+        if (tile.isBreakable()) {
+            return this.resolve(pos, tile.takeHit(), pass);
+        }
+
+        // The lock soaks the hit and lets the tile go
+        if (tile.isLocked) {
+            tile.unlock();
+            return this.resolve(pos, false, pass);
+        }
+
+        // Handle ice layer - the tile clears with its last layer
+        if (tile.iceLayer > 0) {
+            tile.removeIceLayer();
+            if (tile.iceLayer > 0) return this.resolve(pos, false, pass);
+        }
+
+        // Chains hold the tile until the last one breaks
+        if (tile.isChained()) {
+            tile.removeChain();
+            return this.resolve(pos, false, pass);
+        }
+
+        this.hitNeighbors(pos, pass, cause);
+        return this.resolve(pos, true, pass);
+    }
+
+    /**
+     * Hit the blockers next to a cleared tile
+     * @param {Object} pos - {x, y} of the cleared tile
+     * @param {Object} pass - Pass from createPass
+     * @param {string} cause - What cleared the tile (DamageSystem.CAUSES)
+     */
+    hitNeighbors(pos, pass, cause) {
+        Object.values(CONFIG.DIRECTIONS).forEach(dir => {
+            const neighbor = { x: pos.x + dir.x, y: pos.y + dir.y };
+            const tile = this.gridManager.getTile(neighbor.x, neighbor.y);
+            if (!tile) return;
+
+            if (tile.isLocked) {
+                if (this.claim(neighbor, pass)) {
+                    tile.unlock();
+                    pass.damagedPositions.push(neighbor);
+                }
+            } else if (tile.isBreakable()) {
+                this.hit(neighbor, pass, cause);
+            } else if (cause === DamageSystem.CAUSES.BLAST && tile.iceLayer > 0 && this.claim(neighbor, pass)) {
+                // A blast next door cracks the ice but leaves the tile
+                tile.removeIceLayer();
+                pass.damagedPositions.push(neighbor);
+            }
+        });
+    }
+
+    /**
+     * Use up a cell's one hit for this pass
+     * @param {Object} pos - {x, y} position
+     * @param {Object} pass - Pass from createPass
+     * @returns {boolean} False if the cell was already hit this pass
+     */
+    claim(pos, pass) {
+        const key = `${pos.x},${pos.y}`;
+        if (pass.hit.has(key)) return false;
+        pass.hit.add(key);
+        return true;
+    }
+
+    /**
+     * Record the outcome of a hit
+     * @param {Object} pos - {x, y} position
+     * @param {boolean} cleared - Whether the cell will be cleared
+     * @param {Object} pass - Pass from createPass
+     * @returns {boolean} cleared
+     */
+    resolve(pos, cleared, pass) {
+        if (cleared) {
+            pass.clearedPositions.push(pos);
+        } else {
+            pass.damagedPositions.push(pos);
+        }
+        return cleared;
+    }
+
+    /**
+     * Check if a blast can hit the tile at a position
+     * (stones, the exit and empty cells - including the character's cell - are skipped)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isHittable(x, y) {
+        const tile = this.gridManager.getTile(x, y);
+        if (!tile || tile.isEmpty() || tile.isCharacter() || tile.isExit()) return false;
+
+        return !tile.isBlocker() || tile.isBreakable();
+    }
+}
+
+// What a hit came from
+DamageSystem.CAUSES = Object.freeze({
+    MATCH: 'match',
+    BLAST: 'blast'
+});
@@ -1,70 +1,145 @@
 /**
  * Gravity System
  * Handles tiles falling after matches and spawning new tiles
+ *
+ * Tiles fall straight down until something fixed (a blocker, a held tile, an
+ * exit or a character) is in the way; a cell with something fixed right above
+ * it is filled by a tile sliding in diagonally from the row above. New tiles
+ * only appear at spawner cells - the top of every column unless the level
+ * says otherwise. Cells with no spawner above them in their column are dry:
+ * nothing slides into them, so once cleared they stay open.
  */
 
 class GravitySystem {
     /**
      * Create gravity system
      * @param {GridManager} gridManager - Reference to grid manager
+     * @param {SeededRandom} rng - Random source for refills (defaults to the grid's)
      */
-    constructor(gridManager) {
+    constructor(gridManager, rng = gridManager.rng) {
         this.gridManager = gridManager;
+        this.rng = rng;
+        this.spawners = GravitySystem.resolveSpawners({}, gridManager.width);
     }
 
     /**
-     * Apply gravity - make tiles fall to fill empty spaces
-     * @returns {Object[]} Array of { fromX, fromY, toX, toY } movement data
+     * Set up where a level's new tiles come from
+     * @param {Object} levelConfig - Level configuration ({ spawners?, noSpawnColumns? })
      */
-    applyGravity() {
-        const movements = [];
-
-        // Process each column from bottom to top
-        for (let x = 0; x < this.gridManager.width; x++) {
-            // Find all empty positions in this column
-            const emptyPositions = [];
+    initialize(levelConfig = {}) {
+        this.spawners = GravitySystem.resolveSpawners(levelConfig, this.gridManager.width);
+    }
 
-            for (let y = this.gridManager.height - 1; y >= 0; y--) {
-                const tile = this.gridManager.getTile(x, y);
+    /**
+     * Work out a level's spawner cells (shared with the level editor)
+     * @param {Object} levelConfig - { spawners?: {x, y}[], noSpawnColumns?: number[] }
+     * @param {number} width - Grid width
+     * @returns {Object[]} {x, y} of each spawner - the level's own list, or the top
+     *                     cell of every column not in noSpawnColumns
+     */
+    static resolveSpawners({ spawners, noSpawnColumns = [] }, width) {
+        if (spawners) return spawners.map(({ x, y }) => ({ x, y }));
 
-                // Skip: character position, exit tile, blockers
-                if (this.isPositionFixed(x, y)) continue;
+        return Array.from({ length: width }, (_, x) => ({ x, y: 0 }))
+            .filter(({ x }) => !noSpawnColumns.includes(x));
+    }
 
-                if (tile && tile.isEmpty()) {
-                    emptyPositions.push(y);
+    /**
+     * Apply gravity - every tile that can drop moves once: straight down as far
+     * as it goes, or one cell diagonally around something fixed
+     * @returns {Object[]} Array of { fromX, fromY, toX, toY } movement data
+     */
+    applyGravity() {
+        const movements = [];
+        const { width, height } = this.gridManager;
+        const move = (fromX, fromY, toX, toY) => {
+            this.gridManager.setTile(toX, toY, this.gridManager.getTile(fromX, fromY));
+            this.gridManager.setEmpty(fromX, fromY);
+            movements.push({ fromX, fromY, toX, toY });
+        };
+
+        // Straight down, never past a fixed cell
+        for (let x = 0; x < width; x++) {
+            let target = null;  // Lowest open cell the next tile up can drop into
+
+            for (let y = height - 1; y >= 0; y--) {
+                if (this.isOpen(x, y)) {
+                    if (target === null) target = y;
+                } else if (!this.canFall(x, y)) {
+                    target = null;
+                } else if (target !== null) {
+                    move(x, y, x, target);
+                    target--;
                 }
             }
+        }
 
-            // For each empty position, look for tiles above to fall
-            emptyPositions.forEach(emptyY => {
-                // Find a tile above that can fall
-                for (let searchY = emptyY - 1; searchY >= 0; searchY--) {
-                    const tile = this.gridManager.getTile(x, searchY);
-
-                    // Skip fixed positions
-                    if (this.isPositionFixed(x, searchY)) continue;
-
-                    // Found a tile that can fall
-                    if (tile && !tile.isEmpty() && !tile.isBlocker() && tile.isMatchable()) {
-                        // Move tile down
-                        this.gridManager.setTile(x, emptyY, tile);
-                        this.gridManager.setEmpty(x, searchY);
-
-                        movements.push({
-                            fromX: x,
-                            fromY: searchY,
-                            toX: x,
-                            toY: emptyY
-                        });
-                        break;
-                    }
-                }
-            });
+        // Diagonally into cells that nothing can reach from straight above
+        for (let y = height - 1; y > 0; y--) {
+            for (let x = 0; x < width; x++) {
+                if (!this.isOpen(x, y) || !this.isPositionFixed(x, y - 1) || this.isDry(x, y)) continue;
+
+                const fromX = [x - 1, x + 1].find(sideX => this.canSlide(sideX, y - 1));
+                if (fromX !== undefined) move(fromX, y - 1, x, y);
+            }
         }
 
         return movements;
     }
 
+    /**
+     * Check if a cell has no spawner above it in its column
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isDry(x, y) {
+        return GravitySystem.isDryCell(this.spawners, x, y);
+    }
+
+    /**
+     * Check if no spawner sits in a cell's column at or above it (shared with the renderer)
+     * @param {Object[]} spawners - {x, y} of each spawner
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    static isDryCell(spawners, x, y) {
+        return !spawners.some(spawner => spawner.x === x && spawner.y <= y);
+    }
+
+    /**
+     * Check if a cell is empty and could take a falling tile
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isOpen(x, y) {
+        const tile = this.gridManager.getTile(x, y);
+        return !!tile && tile.isEmpty() && !this.isPositionFixed(x, y);
+    }
+
+    /**
+     * Check if the tile at a cell is free to fall
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    canFall(x, y) {
+        const tile = this.gridManager.getTile(x, y);
+        return !!tile && !tile.isEmpty() && tile.isMatchable() && !this.isPositionFixed(x, y);
+    }
+
+    /**
+     * Check if the tile at a cell can slide diagonally - only once it can't drop straight down
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    canSlide(x, y) {
+        return this.canFall(x, y) && !this.isOpen(x, y + 1);
+    }
+
     /**
      * Apply gravity repeatedly until no more movements
      * @returns {Object[][]} Array of movement arrays (one per iteration)
@@ -92,70 +167,73 @@ class GravitySystem {
     isPositionFixed(x, y) {
         const tile = this.gridManager.getTile(x, y);
 
-        // Character position
-        const charPos = this.gridManager.characterPosition;
-        if (charPos && x === charPos.x && y === charPos.y) return true;
+        // Character positions
+        if (this.gridManager.isCharacterAt(x, y)) return true;
 
         // Exit position
         if (tile && tile.isExit()) return true;
 
-        // Stone blockers
-        if (tile && tile.isBlocker()) return true;
+        // Blockers, and tiles held in place by ice, locks or chains
+        if (tile && (tile.isBlocker() || tile.isHeld())) return true;
 
         return false;
     }
 
     /**
-     * Fill empty spaces at the top with new tiles
+     * Put a new tile on every empty spawner
      * @returns {Object[]} Array of { x, y, tile } for new tiles
      */
     spawnNewTiles() {
         const newTiles = [];
         const tileTypes = this.gridManager.tileTypes || CONFIG.MATCHABLE_COLORS;
 
-        for (let x = 0; x < this.gridManager.width; x++) {
-            for (let y = 0; y < this.gridManager.height; y++) {
-                const tile = this.gridManager.getTile(x, y);
+        this.spawners.forEach(({ x, y }) => {
+            if (!this.isOpen(x, y)) return;
 
-                // Skip fixed positions
-                if (this.isPositionFixed(x, y)) continue;
+            // Create new random tile
+            const newTile = this.gridManager.createNonMatchingTile(x, y, tileTypes, this.rng);
+            this.gridManager.setTile(x, y, newTile);
 
-                if (tile && tile.isEmpty()) {
-                    // Create new random tile
-                    const newTile = this.gridManager.createNonMatchingTile(x, y, tileTypes);
-                    this.gridManager.setTile(x, y, newTile);
-
-                    newTiles.push({
-                        x: x,
-                        y: y,
-                        tile: newTile
-                    });
-                }
-            }
-        }
+            newTiles.push({ x, y, tile: newTile });
+        });
 
         return newTiles;
     }
 
     /**
-     * Complete gravity cycle: apply gravity and spawn new tiles
+     * Spawn tiles and let them settle, over and over, until the spawners stay filled
+     * @returns {Object} { movements: [], newTiles: [] } - newTiles give where each new tile came to rest
+     */
+    refill() {
+        const movements = [];
+        const newTiles = [];
+        let spawned;
+
+        do {
+            spawned = this.spawnNewTiles();
+            newTiles.push(...spawned);
+            movements.push(...this.applyGravityFully().flat());
+        } while (spawned.length > 0);
+
+        return {
+            movements,
+            newTiles: newTiles.map(({ tile }) => ({ x: tile.x, y: tile.y, tile }))
+        };
+    }
+
+    /**
+     * Complete gravity cycle: apply gravity and refill from the spawners
      * @returns {Object} { movements: [], newTiles: [] }
      */
     processGravity() {
         // Apply gravity until stable
-        const allMovements = this.applyGravityFully();
-        const movements = allMovements.flat();
+        const movements = this.applyGravityFully().flat();
 
-        // Spawn new tiles to fill any remaining empty spaces
-        const newTiles = this.spawnNewTiles();
-
-        // Apply gravity again for new tiles
-        if (newTiles.length > 0) {
-            const additionalMovements = this.applyGravityFully();
-            movements.push(...additionalMovements.flat());
-        }
+        // Feed new tiles in until nothing more fits
+        const refill = this.refill();
+        movements.push(...refill.movements);
 
-        return { movements, newTiles };
+        return { movements, newTiles: refill.newTiles };
     }
 
     /**
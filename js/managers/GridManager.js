@@ -8,14 +8,13 @@ class GridManager {
      * Create a new GridManager
      * @param {number} width - Grid width (columns)
      * @param {number} height - Grid height (rows)
+     * @param {SeededRandom} rng - Random source for new tiles
      */
-    constructor(width = CONFIG.GRID.DEFAULT_WIDTH, height = CONFIG.GRID.DEFAULT_HEIGHT) {
+    constructor(width = CONFIG.GRID.DEFAULT_WIDTH, height = CONFIG.GRID.DEFAULT_HEIGHT, rng = new SeededRandom()) {
         this.width = width;
         this.height = height;
+        this.rng = rng;
         this.grid = [];
-        this.boardElement = null;
-        this.selectedTile = null;
-        this.onSwapCallback = null;
     }
 
     /**
@@ -27,12 +26,16 @@ class GridManager {
             blockers = [],
             exitPosition = { x: Math.floor(this.width / 2), y: 0 },
             characterStart = { x: Math.floor(this.width / 2), y: this.height - 1 },
-            tileTypes = CONFIG.MATCHABLE_COLORS
+            exits = [exitPosition],
+            characters = [characterStart],
+            tileTypes = CONFIG.MATCHABLE_COLORS,
+            initialLayout = null,
+            overlays = []
         } = levelConfig;
 
         this.tileTypes = tileTypes;
-        this.exitPosition = exitPosition;
-        this.characterPosition = { ...characterStart };
+        this.exitPositions = exits.map(({ x, y }) => ({ x, y }));
+        this.characterPositions = characters.map(({ x, y }) => ({ x, y }));
 
         // Create empty grid
         this.grid = [];
@@ -44,19 +47,37 @@ class GridManager {
             this.grid.push(row);
         }
 
-        // Place blockers first
+        // Place blockers first (chains go on the colored tile filled in below)
+        const chains = blockers.filter(blocker => blocker.type === CONFIG.TILE_TYPES.CHAIN);
         blockers.forEach(blocker => {
+            if (blocker.type === CONFIG.TILE_TYPES.CHAIN) return;
+
             const tile = new Tile(blocker.type, blocker.x, blocker.y);
-            if (blocker.iceLayer) tile.addIce(blocker.iceLayer);
-            if (blocker.locked) tile.lock();
+            if (blocker.hits) tile.hitPoints = blocker.hits;
             this.grid[blocker.y][blocker.x] = tile;
         });
 
-        // Place exit tile
-        this.grid[exitPosition.y][exitPosition.x] = new Tile(CONFIG.TILE_TYPES.EXIT, exitPosition.x, exitPosition.y);
+        // Place exit tiles
+        this.exitPositions.forEach(({ x, y }) => {
+            this.grid[y][x] = new Tile(CONFIG.TILE_TYPES.EXIT, x, y);
+        });
+
+        // Mark character positions as empty (characters are rendered separately)
+        this.characterPositions.forEach(({ x, y }) => {
+            this.grid[y][x] = new Tile(CONFIG.TILE_TYPES.EMPTY, x, y);
+        });
 
-        // Mark character position as empty (character is rendered separately)
-        this.grid[characterStart.y][characterStart.x] = new Tile(CONFIG.TILE_TYPES.EMPTY, characterStart.x, characterStart.y);
+        // Place any fixed tiles from the level's layout ('.' cells stay random)
+        if (initialLayout) {
+            initialLayout.forEach((row, y) => {
+                [...row].forEach((code, x) => {
+                    const color = CONFIG.TILE_CODES[code];
+                    if (color && this.grid[y][x] === null) {
+                        this.grid[y][x] = new Tile(color, x, y);
+                    }
+                });
+            });
+        }
 
         // Fill remaining positions with random matchable tiles
         // Ensure no initial matches by checking each placement
@@ -68,6 +89,20 @@ class GridManager {
                 }
             }
         }
+
+        chains.forEach(blocker => {
+            this.grid[blocker.y][blocker.x].addChains(blocker.hits || CONFIG.BLOCKERS.DEFAULT_HITS.chain);
+        });
+
+        // Ice and locks cover the colored tiles at their cells
+        overlays.forEach(overlay => {
+            const tile = this.grid[overlay.y][overlay.x];
+            if (overlay.type === CONFIG.TILE_TYPES.ICE) {
+                tile.addIce(overlay.layers || 1);
+            } else if (overlay.type === CONFIG.TILE_TYPES.LOCKED) {
+                tile.lock();
+            }
+        });
     }
 
     /**
@@ -75,9 +110,10 @@ class GridManager {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {string[]} tileTypes - Allowed tile types
+     * @param {SeededRandom} rng - Random source (defaults to the grid's)
      * @returns {Tile}
      */
-    createNonMatchingTile(x, y, tileTypes) {
+    createNonMatchingTile(x, y, tileTypes, rng = this.rng) {
         const availableTypes = [...tileTypes];
 
         // Check left tiles
@@ -102,112 +138,8 @@ class GridManager {
 
         // If all types would cause a match, just pick any
         const types = availableTypes.length > 0 ? availableTypes : tileTypes;
-        const randomType = types[Math.floor(Math.random() * types.length)];
-
-        return new Tile(randomType, x, y);
-    }
-
-    /**
-     * Render the grid to DOM
-     * @param {HTMLElement} boardElement - Container element for the grid
-     */
-    render(boardElement) {
-        this.boardElement = boardElement;
-        boardElement.innerHTML = '';
 
-        // Set grid CSS
-        boardElement.style.gridTemplateColumns = `repeat(${this.width}, var(--tile-size))`;
-        boardElement.style.gridTemplateRows = `repeat(${this.height}, var(--tile-size))`;
-
-        // Create tiles
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                const tile = this.grid[y][x];
-                if (tile) {
-                    const element = tile.createElement();
-                    this.attachTileEvents(element, x, y);
-                    boardElement.appendChild(element);
-                }
-            }
-        }
-    }
-
-    /**
-     * Re-render the entire grid (after major changes)
-     */
-    rerender() {
-        if (this.boardElement) {
-            this.render(this.boardElement);
-        }
-    }
-
-    /**
-     * Attach click/touch events to a tile
-     * @param {HTMLElement} element - Tile DOM element
-     * @param {number} x - Tile x position
-     * @param {number} y - Tile y position
-     */
-    attachTileEvents(element, x, y) {
-        const handleSelect = (e) => {
-            e.preventDefault();
-            this.handleTileSelect(x, y);
-        };
-
-        element.addEventListener('click', handleSelect);
-        element.addEventListener('touchend', handleSelect);
-    }
-
-    /**
-     * Handle tile selection for swapping
-     * @param {number} x - Selected tile x
-     * @param {number} y - Selected tile y
-     */
-    handleTileSelect(x, y) {
-        const tile = this.grid[y][x];
-
-        // Can't select non-swappable tiles
-        if (!tile || !tile.canSwap()) {
-            this.clearSelection();
-            return;
-        }
-
-        if (this.selectedTile === null) {
-            // First selection
-            this.selectedTile = { x, y };
-            tile.element?.classList.add('selected');
-        } else {
-            // Second selection - check if adjacent
-            const { x: sx, y: sy } = this.selectedTile;
-
-            if (this.areAdjacent(sx, sy, x, y)) {
-                // Attempt swap
-                if (this.onSwapCallback) {
-                    this.onSwapCallback(sx, sy, x, y);
-                }
-            }
-
-            this.clearSelection();
-        }
-    }
-
-    /**
-     * Clear current tile selection
-     */
-    clearSelection() {
-        if (this.selectedTile) {
-            const { x, y } = this.selectedTile;
-            const tile = this.grid[y][x];
-            tile?.element?.classList.remove('selected');
-        }
-        this.selectedTile = null;
-    }
-
-    /**
-     * Set callback for swap attempts
-     * @param {Function} callback - Called with (x1, y1, x2, y2)
-     */
-    setSwapCallback(callback) {
-        this.onSwapCallback = callback;
+        return new Tile(rng.pick(types), x, y);
     }
 
     /**
@@ -310,29 +242,63 @@ class GridManager {
     }
 
     /**
-     * Get DOM element for a tile position
+     * Update a character's position (characters stand on empty cells or exits)
+     * @param {number} id - Character index
+     * @param {Object|null} pos - New {x, y}, or null once the character has escaped
+     */
+    updateCharacterPosition(id, pos) {
+        this.characterPositions[id] = pos ? { x: pos.x, y: pos.y } : null;
+    }
+
+    /**
+     * Get the character standing on a cell
      * @param {number} x - X position
      * @param {number} y - Y position
-     * @returns {HTMLElement|null}
+     * @returns {number} Character index, or -1 if nobody is there
      */
-    getTileElement(x, y) {
-        const tile = this.getTile(x, y);
-        return tile?.element || null;
+    getCharacterAt(x, y) {
+        return GridManager.findCharacterAt(this.characterPositions, x, y);
     }
 
     /**
-     * Update character position in grid (mark as empty)
-     * @param {number} oldX - Old x position
-     * @param {number} oldY - Old y position
-     * @param {number} newX - New x position
-     * @param {number} newY - New y position
+     * Check if a character is standing on a cell
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {boolean}
      */
-    updateCharacterPosition(oldX, oldY, newX, newY) {
-        // Don't overwrite exit tile
-        if (!(oldX === this.exitPosition.x && oldY === this.exitPosition.y)) {
-            this.setEmpty(oldX, oldY);
-        }
-        this.characterPosition = { x: newX, y: newY };
+    isCharacterAt(x, y) {
+        return this.getCharacterAt(x, y) !== -1;
+    }
+
+    /**
+     * Find the character standing on a cell in a list of positions (shared with board snapshots)
+     * @param {Array<Object|null>} positions - {x, y} per character, null for escaped ones
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {number} Character index, or -1 if nobody is there
+     */
+    static findCharacterAt(positions, x, y) {
+        return (positions || []).findIndex(pos => pos && pos.x === x && pos.y === y);
+    }
+
+    /**
+     * Capture the grid so it can be restored exactly
+     * @returns {Object} { grid: Tile[][], characterPositions }
+     */
+    createSnapshot() {
+        return {
+            grid: this.grid.map(row => row.map(tile => tile?.clone() ?? null)),
+            characterPositions: this.characterPositions.map(pos => pos && { ...pos })
+        };
+    }
+
+    /**
+     * Restore a grid captured by createSnapshot (the snapshot stays reusable)
+     * @param {Object} snapshot - Snapshot from createSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.grid = snapshot.grid.map(row => row.map(tile => tile?.clone() ?? null));
+        this.characterPositions = snapshot.characterPositions.map(pos => pos && { ...pos });
     }
 
     /**
@@ -363,12 +329,14 @@ class GridManager {
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 const tile = this.getTile(x, y);
-                if (!tile || !tile.isMatchable()) continue;
+                if (!tile || !tile.canSwap()) continue;
 
                 // Check swap with right neighbor
                 if (x < this.width - 1) {
                     const right = this.getTile(x + 1, y);
-                    if (right && right.isMatchable()) {
+                    if (right && right.canSwap()) {
+                        if (this.isSpecialPair(x, y, x + 1, y)) return true;
+
                         // Temporarily swap
                         this.swap(x, y, x + 1, y);
                         const hasMatch = this.checkForMatchAt(x, y) || this.checkForMatchAt(x + 1, y);
@@ -380,7 +348,9 @@ class GridManager {
                 // Check swap with bottom neighbor
                 if (y < this.height - 1) {
                     const bottom = this.getTile(x, y + 1);
-                    if (bottom && bottom.isMatchable()) {
+                    if (bottom && bottom.canSwap()) {
+                        if (this.isSpecialPair(x, y, x, y + 1)) return true;
+
                         this.swap(x, y, x, y + 1);
                         const hasMatch = this.checkForMatchAt(x, y) || this.checkForMatchAt(x, y + 1);
                         this.swap(x, y, x, y + 1);
@@ -392,6 +362,97 @@ class GridManager {
         return false;
     }
 
+    /**
+     * Check if swapping two positions fires specials without a color match
+     * (two special tiles make a combo, a color bomb works with any tile)
+     * @param {number} x1 - First x
+     * @param {number} y1 - First y
+     * @param {number} x2 - Second x
+     * @param {number} y2 - Second y
+     * @returns {boolean}
+     */
+    isSpecialPair(x1, y1, x2, y2) {
+        const tile1 = this.getTile(x1, y1);
+        const tile2 = this.getTile(x2, y2);
+        const isColorBomb = tile => tile?.specialType === CONFIG.SPECIAL_TILES.COLOR_BOMB;
+
+        return (!!tile1?.isSpecial && !!tile2?.isSpecial) || isColorBomb(tile1) || isColorBomb(tile2);
+    }
+
+    /**
+     * Check if the board has any ready-made match
+     * @returns {boolean}
+     */
+    hasAnyMatch() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.checkForMatchAt(x, y)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get positions of tiles a shuffle may move (free colored tiles -
+     * blockers, ice, locks, chains, the exit and the character stay put)
+     * @returns {Object[]} Array of {x, y}
+     */
+    getShufflablePositions() {
+        const positions = [];
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const tile = this.getTile(x, y);
+                if (tile && tile.canSwap()) {
+                    positions.push({ x, y });
+                }
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Rearrange the free colored tiles in place until the board has a valid
+     * move and no ready-made matches. If no arrangement works, tiles are
+     * recolored instead (specials keep their power).
+     * @param {number} maxAttempts - Tries per strategy
+     * @returns {boolean} True if a playable board was found
+     */
+    shuffle(maxAttempts = CONFIG.SHUFFLE.MAX_ATTEMPTS) {
+        const positions = this.getShufflablePositions();
+        const tiles = positions.map(pos => this.getTile(pos.x, pos.y));
+        const original = [...tiles];
+        const isPlayable = () => !this.hasAnyMatch() && this.hasPossibleMoves();
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            // Fisher-Yates with the grid's seeded generator
+            for (let i = tiles.length - 1; i > 0; i--) {
+                const j = this.rng.nextInt(i + 1);
+                [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+            }
+
+            positions.forEach((pos, i) => this.setTile(pos.x, pos.y, tiles[i]));
+            if (isPlayable()) return true;
+        }
+
+        // The colors on the board can't make a move in any order - recolor them
+        positions.forEach((pos, i) => this.setTile(pos.x, pos.y, original[i]));
+        const originalTypes = original.map(tile => tile.type);
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            positions.forEach(pos => {
+                this.getTile(pos.x, pos.y).type = this.createNonMatchingTile(pos.x, pos.y, this.tileTypes).type;
+            });
+            if (isPlayable()) return true;
+        }
+
+        original.forEach((tile, i) => {
+            tile.type = originalTypes[i];
+        });
+        return false;
+    }
+
     /**
      * Simple check for match at position
      * @param {number} x - X position
@@ -406,12 +467,12 @@ class GridManager {
         let hCount = 1;
         for (let i = x - 1; i >= 0; i--) {
             const t = this.getTile(i, y);
-            if (t && t.type === tile.type) hCount++;
+            if (t && t.type === tile.type && t.isMatchable()) hCount++;
             else break;
         }
         for (let i = x + 1; i < this.width; i++) {
             const t = this.getTile(i, y);
-            if (t && t.type === tile.type) hCount++;
+            if (t && t.type === tile.type && t.isMatchable()) hCount++;
             else break;
         }
         if (hCount >= 3) return true;
@@ -420,12 +481,12 @@ class GridManager {
         let vCount = 1;
         for (let j = y - 1; j >= 0; j--) {
             const t = this.getTile(x, j);
-            if (t && t.type === tile.type) vCount++;
+            if (t && t.type === tile.type && t.isMatchable()) vCount++;
             else break;
         }
         for (let j = y + 1; j < this.height; j++) {
             const t = this.getTile(x, j);
-            if (t && t.type === tile.type) vCount++;
+            if (t && t.type === tile.type && t.isMatchable()) vCount++;
             else break;
         }
         if (vCount >= 3) return true;
@@ -441,12 +502,14 @@ class GridManager {
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 const tile = this.getTile(x, y);
-                if (!tile || !tile.isMatchable()) continue;
+                if (!tile || !tile.canSwap()) continue;
 
                 // Check right
                 if (x < this.width - 1) {
                     const right = this.getTile(x + 1, y);
-                    if (right && right.isMatchable()) {
+                    if (right && right.canSwap()) {
+                        if (this.isSpecialPair(x, y, x + 1, y)) return { x1: x, y1: y, x2: x + 1, y2: y };
+
                         this.swap(x, y, x + 1, y);
                         const hasMatch = this.checkForMatchAt(x, y) || this.checkForMatchAt(x + 1, y);
                         this.swap(x, y, x + 1, y);
@@ -457,7 +520,9 @@ class GridManager {
                 // Check down
                 if (y < this.height - 1) {
                     const down = this.getTile(x, y + 1);
-                    if (down && down.isMatchable()) {
+                    if (down && down.canSwap()) {
+                        if (this.isSpecialPair(x, y, x, y + 1)) return { x1: x, y1: y, x2: x, y2: y + 1 };
+
                         this.swap(x, y, x, y + 1);
                         const hasMatch = this.checkForMatchAt(x, y) || this.checkForMatchAt(x, y + 1);
                         this.swap(x, y, x, y + 1);
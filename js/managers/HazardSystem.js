@@ -0,0 +1,206 @@
+/**
+ * Hazard System
+ * Grows a level's hazards at the end of a turn, every few moves
+ *
+ *   - Water floods the board one row at a time from the bottom; the level is
+ *     lost once it reaches the row of a character still on the board
+ *   - Slime is a blocker tile: a match next to it (or a blast) hits it. When
+ *     it grows, one slime tile turns a neighboring colored tile into slime -
+ *     unless that turn's move hit or cleared some of it
+ */
+
+class HazardSystem {
+    /**
+     * Create hazard system
+     * @param {GridManager} gridManager - Reference to grid manager
+     * @param {SeededRandom} rng - Random source for picking where slime spreads
+     */
+    constructor(gridManager, rng = new SeededRandom()) {
+        this.gridManager = gridManager;
+        this.rng = rng;
+        this.hazards = [];
+        this.waterRows = 0;     // Flooded rows, counted from the bottom
+        this.slimeAtTurnStart = 0;  // Slime hit points when the current turn began
+    }
+
+    /**
+     * Set up the hazards for a level (call after the grid is initialized)
+     * @param {Object[]} hazards - Level hazards: { type, every?, rows? }
+     */
+    initialize(hazards = []) {
+        this.hazards = hazards.map(({ type, every, rows }) => ({
+            type,
+            every: every || CONFIG.HAZARDS.DEFAULT_EVERY,
+            rows: rows || 0
+        }));
+
+        this.waterRows = this.getHazard(HazardSystem.TYPES.WATER)?.rows ?? 0;
+        this.startTurn();
+    }
+
+    /**
+     * Get a hazard of the level by type
+     * @param {string} type - HazardSystem.TYPES value
+     * @returns {Object|null} { type, every, rows }
+     */
+    getHazard(type) {
+        return this.hazards.find(hazard => hazard.type === type) || null;
+    }
+
+    /**
+     * Get the hazards that grow once a number of moves has been used
+     * @param {number} movesUsed - Moves used so far, including this turn's
+     * @returns {string[]} Hazard types, in the order they act
+     */
+    getDueHazards(movesUsed) {
+        return this.hazards
+            .filter(hazard => movesUsed > 0 && movesUsed % hazard.every === 0)
+            .map(hazard => hazard.type);
+    }
+
+    /**
+     * Get the number of moves until a hazard grows next
+     * @param {string} type - HazardSystem.TYPES value
+     * @param {number} movesUsed - Moves used so far
+     * @returns {number|null} Null if the level has no such hazard
+     */
+    getMovesUntil(type, movesUsed) {
+        const hazard = this.getHazard(type);
+        if (!hazard) return null;
+
+        return hazard.every - (movesUsed % hazard.every);
+    }
+
+    /**
+     * Flood the next row up
+     * @returns {Object[]} Newly flooded positions (empty once the whole board is under water)
+     */
+    riseWater() {
+        const { width, height } = this.gridManager;
+        if (this.waterRows >= height) return [];
+
+        this.waterRows++;
+        const y = height - this.waterRows;
+
+        return Array.from({ length: width }, (_, x) => ({ x, y }));
+    }
+
+    /**
+     * Check if a row is under water
+     * @param {number} y - Row
+     * @returns {boolean}
+     */
+    isFlooded(y) {
+        return y >= this.gridManager.height - this.waterRows;
+    }
+
+    /**
+     * Check if the water has reached any character still on the board
+     * @returns {boolean}
+     */
+    hasFloodedCharacter() {
+        return this.waterRows > 0 && this.gridManager.characterPositions.some(pos => pos && this.isFlooded(pos.y));
+    }
+
+    /**
+     * Note how much slime there is as a move begins (call at the start of every turn)
+     */
+    startTurn() {
+        this.slimeAtTurnStart = this.measureSlime();
+    }
+
+    /**
+     * Turn one colored tile next to slime into slime, unless this turn's move hit or cleared slime
+     * @returns {Object|null} { from, to } positions, or null if the slime didn't spread
+     */
+    spreadSlime() {
+        if (this.measureSlime() < this.slimeAtTurnStart) return null;
+
+        const spreads = this.getSlimeSpreads();
+        if (spreads.length === 0) return null;
+
+        const spread = this.rng.pick(spreads);
+        this.gridManager.setTile(spread.to.x, spread.to.y, new Tile(CONFIG.TILE_TYPES.SLIME, spread.to.x, spread.to.y));
+
+        return spread;
+    }
+
+    /**
+     * List every way slime could spread: plain colored tiles next to slime
+     * (specials and tiles under ice, locks or chains are left alone)
+     * @returns {Object[]} Array of { from, to }
+     */
+    getSlimeSpreads() {
+        const spreads = [];
+
+        this.forEachSlime((x, y) => {
+            Object.values(CONFIG.DIRECTIONS).forEach(dir => {
+                const to = { x: x + dir.x, y: y + dir.y };
+                const tile = this.gridManager.getTile(to.x, to.y);
+
+                if (tile && tile.canSwap() && !tile.isSpecial) {
+                    spreads.push({ from: { x, y }, to });
+                }
+            });
+        });
+
+        return spreads;
+    }
+
+    /**
+     * Count the slime tiles on the board
+     * @returns {number}
+     */
+    countSlime() {
+        let count = 0;
+        this.forEachSlime(() => count++);
+        return count;
+    }
+
+    /**
+     * Add up the hit points of every slime tile, so a hit shows even when the slime survives it
+     * @returns {number}
+     */
+    measureSlime() {
+        let hitPoints = 0;
+        this.forEachSlime((x, y) => {
+            hitPoints += this.gridManager.getTile(x, y).hitPoints;
+        });
+        return hitPoints;
+    }
+
+    /**
+     * Call a function for every slime tile, row by row
+     * @param {Function} callback - (x, y) => void
+     */
+    forEachSlime(callback) {
+        this.gridManager.grid.forEach((row, y) => {
+            row.forEach((tile, x) => {
+                if (tile?.isSlime()) callback(x, y);
+            });
+        });
+    }
+
+    /**
+     * Get the state that changes during play (the slime measured at the start
+     * of a turn is taken again when the next move begins)
+     * @returns {Object} { waterRows }
+     */
+    getState() {
+        return { waterRows: this.waterRows };
+    }
+
+    /**
+     * Restore state from getState
+     * @param {Object} state - { waterRows }
+     */
+    restoreState(state) {
+        this.waterRows = state.waterRows;
+    }
+}
+
+// Hazard types a level can list
+HazardSystem.TYPES = Object.freeze({
+    WATER: 'water',
+    SLIME: 'slime'
+});
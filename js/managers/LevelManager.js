@@ -6,15 +6,24 @@
 class LevelManager {
     constructor() {
         this.levels = [];
+        this.packs = new Map();
+        this.currentPackId = null;
         this.currentLevelIndex = 0;
         this.currentLevel = null;
+        this.customLevel = null;
         this.movesRemaining = 0;
         this.maxMoves = 0;
+        this.timeLimit = null;
+        this.timeRemaining = null;
+        this.score = 0;
         this.gameState = CONFIG.STATE.IDLE;
+        this.pausedState = null;   // State to go back to when play resumes
 
         // Callbacks
         this.onLevelLoaded = null;
         this.onMovesChanged = null;
+        this.onTimeChanged = null;
+        this.onScoreChanged = null;
         this.onWin = null;
         this.onLose = null;
     }
@@ -22,11 +31,124 @@ class LevelManager {
     /**
      * Load levels from configuration
      * @param {Object[]} levelData - Array of level configurations
+     * @throws {LevelValidationError} If any level breaks the level schema
      */
     loadLevels(levelData) {
+        levelValidator.assertValidPack(levelData);
         this.levels = levelData;
     }
 
+    /**
+     * Register a level pack so it can be switched to later
+     * @param {Object} pack - { id, name, url } or { id, name, levels }
+     */
+    registerPack(pack) {
+        this.packs.set(pack.id, { ...pack });
+    }
+
+    /**
+     * Get all registered level packs
+     * @returns {Object[]} Array of { id, name, url, levels }
+     */
+    getPacks() {
+        return Array.from(this.packs.values());
+    }
+
+    /**
+     * Get the active level pack
+     * @returns {Object|null}
+     */
+    getCurrentPack() {
+        return this.packs.get(this.currentPackId) || null;
+    }
+
+    /**
+     * Switch to a registered level pack, fetching it the first time
+     * @param {string} packId - Pack id
+     * @returns {Promise<Object>} The loaded pack
+     */
+    async switchPack(packId) {
+        const pack = this.packs.get(packId);
+        if (!pack) {
+            throw new Error(`Unknown level pack "${packId}"`);
+        }
+
+        if (!pack.levels) {
+            const data = await this.fetchLevelPack(pack.url);
+            pack.levels = data.levels;
+            pack.name = pack.name || data.name;
+        }
+
+        this.loadLevels(pack.levels);
+        this.currentPackId = packId;
+        this.currentLevelIndex = 0;
+        this.currentLevel = null;
+        this.customLevel = null;
+
+        return pack;
+    }
+
+    /**
+     * Register a pack from an arbitrary URL and switch to it
+     * @param {string} url - Pack URL
+     * @returns {Promise<Object>} The loaded pack
+     */
+    async loadPackFromUrl(url) {
+        if (!this.packs.has(url)) {
+            const data = await this.fetchLevelPack(url);
+            this.registerPack({ id: url, name: data.name || url, url, levels: data.levels });
+        }
+
+        return this.switchPack(url);
+    }
+
+    /**
+     * Fetch and parse a level pack
+     * @param {string} url - Pack URL (relative to the page or absolute)
+     * @returns {Promise<Object>} { name, levels }
+     */
+    async fetchLevelPack(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not reach level pack ${url}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Could not load level pack ${url} (HTTP ${response.status})`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`Level pack ${url} is not valid JSON`);
+        }
+
+        return this.parseLevelPack(data, url);
+    }
+
+    /**
+     * Check the overall shape of level pack data
+     * Accepts { name?, levels: [] } or a bare array of levels
+     * @param {Object|Object[]} data - Parsed pack JSON
+     * @param {string} source - Where the data came from (for error messages)
+     * @returns {Object} { name, levels }
+     */
+    parseLevelPack(data, source = 'level pack') {
+        const levels = Array.isArray(data) ? data : data?.levels;
+
+        if (!Array.isArray(levels) || levels.length === 0) {
+            throw new Error(`${source} has no "levels" array`);
+        }
+
+        return {
+            name: Array.isArray(data) ? null : data.name || null,
+            levels
+        };
+    }
+
     /**
      * Get level configuration by index
      * @param {number} index - Level index (0-based)
@@ -49,19 +171,65 @@ class LevelManager {
         if (!level) return null;
 
         this.currentLevelIndex = index;
+        this.customLevel = null;
+
+        return this.beginLevel(level);
+    }
+
+    /**
+     * Start a level that isn't part of the loaded pack (e.g. from the editor)
+     * @param {Object} level - Level configuration
+     * @returns {Object} Level configuration
+     * @throws {LevelValidationError} If the level breaks the level schema
+     */
+    startCustomLevel(level) {
+        levelValidator.assertValidPack([level]);
+        this.customLevel = level;
+
+        return this.beginLevel(level);
+    }
+
+    /**
+     * Check if the current level came from outside the pack
+     * @returns {boolean}
+     */
+    isPlayingCustomLevel() {
+        return this.customLevel !== null;
+    }
+
+    /**
+     * Reset moves and state for a level and notify listeners
+     * @param {Object} level - Level configuration
+     * @returns {Object} Level configuration
+     */
+    beginLevel(level) {
         this.currentLevel = level;
-        this.maxMoves = level.maxMoves || 20;
+        // Timed levels have no move limit unless they set one too
+        this.timeLimit = level.timeLimit ?? null;
+        this.timeRemaining = this.timeLimit;
+        this.maxMoves = level.maxMoves || (this.timeLimit ? Infinity : 20);
         this.movesRemaining = this.maxMoves;
+        this.score = 0;
         this.gameState = CONFIG.STATE.IDLE;
+        this.pausedState = null;
 
         if (this.onLevelLoaded) {
-            this.onLevelLoaded(level, index + 1);
+            // Custom levels have no number in the pack
+            this.onLevelLoaded(level, this.customLevel ? null : this.currentLevelIndex + 1);
         }
 
         if (this.onMovesChanged) {
             this.onMovesChanged(this.movesRemaining, this.maxMoves);
         }
 
+        if (this.onTimeChanged && this.timeLimit) {
+            this.onTimeChanged(this.timeRemaining, this.timeLimit);
+        }
+
+        if (this.onScoreChanged) {
+            this.onScoreChanged(this.score);
+        }
+
         return level;
     }
 
@@ -78,11 +246,14 @@ class LevelManager {
      * @returns {Object|null} Current level configuration
      */
     restartLevel() {
+        if (this.customLevel) {
+            return this.beginLevel(this.customLevel);
+        }
         return this.startLevel(this.currentLevelIndex);
     }
 
     /**
-     * Use a move
+     * Use a move (the engine decides when running out of moves loses the level)
      * @returns {boolean} True if move was used, false if no moves left
      */
     useMove() {
@@ -94,15 +265,22 @@ class LevelManager {
             this.onMovesChanged(this.movesRemaining, this.maxMoves);
         }
 
-        // Check for lose condition
-        if (this.movesRemaining <= 0 && this.gameState !== CONFIG.STATE.WIN) {
-            this.triggerLose();
-            return false;
-        }
-
         return true;
     }
 
+    /**
+     * Put the move counter back (used by undo)
+     * @param {number} moves - Moves remaining
+     */
+    setMovesRemaining(moves) {
+        this.movesRemaining = moves;
+        this.setState(CONFIG.STATE.IDLE);
+
+        if (this.onMovesChanged) {
+            this.onMovesChanged(this.movesRemaining, this.maxMoves);
+        }
+    }
+
     /**
      * Add bonus moves
      * @param {number} moves - Number of moves to add
@@ -115,30 +293,74 @@ class LevelManager {
         }
     }
 
+    /**
+     * Show the time left on a timed level
+     * @param {number} seconds - Seconds remaining
+     */
+    setTimeRemaining(seconds) {
+        this.timeRemaining = seconds;
+
+        if (this.onTimeChanged) {
+            this.onTimeChanged(this.timeRemaining, this.timeLimit);
+        }
+    }
+
+    /**
+     * Check if the current level has a time limit
+     * @returns {boolean}
+     */
+    isTimed() {
+        return this.timeLimit !== null;
+    }
+
+    /**
+     * Show the engine's score
+     * @param {number} score - Current score
+     */
+    setScore(score) {
+        this.score = score;
+
+        if (this.onScoreChanged) {
+            this.onScoreChanged(this.score);
+        }
+    }
+
     /**
      * Trigger win condition
+     * @param {Object} result - { movesUsed, freed, characters, score, stars } - how many characters
+     *                          escaped, out of how many, and the final score and its star rating
      */
-    triggerWin() {
+    triggerWin({
+        movesUsed = this.maxMoves - this.movesRemaining, freed = 1, characters = 1, score = this.score, stars = 0
+    } = {}) {
+        this.score = score;
+
         this.gameState = CONFIG.STATE.WIN;
 
         if (this.onWin) {
             this.onWin({
                 level: this.currentLevelIndex + 1,
-                movesUsed: this.maxMoves - this.movesRemaining,
-                movesRemaining: this.movesRemaining
+                movesUsed,
+                movesRemaining: this.movesRemaining,
+                freed,
+                characters,
+                score,
+                stars
             });
         }
     }
 
     /**
      * Trigger lose condition
+     * @param {string} reason - Why the level was lost ('moves', 'time', 'flooded' or 'noMoves')
      */
-    triggerLose() {
+    triggerLose(reason = 'moves') {
         this.gameState = CONFIG.STATE.LOSE;
 
         if (this.onLose) {
             this.onLose({
-                level: this.currentLevelIndex + 1
+                level: this.currentLevelIndex + 1,
+                reason
             });
         }
     }
@@ -168,10 +390,43 @@ class LevelManager {
     }
 
     /**
-     * Set game state
+     * Check if play is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.gameState === CONFIG.STATE.PAUSED;
+    }
+
+    /**
+     * Pause play (a finished level stays finished)
+     */
+    pause() {
+        if (this.isPaused() || this.isGameOver()) return;
+
+        this.pausedState = this.gameState;
+        this.gameState = CONFIG.STATE.PAUSED;
+    }
+
+    /**
+     * Resume play in the state it was paused in
+     */
+    resume() {
+        if (!this.isPaused()) return;
+
+        this.gameState = this.pausedState;
+        this.pausedState = null;
+    }
+
+    /**
+     * Set game state (while paused, the state play resumes in)
      * @param {string} state - State from CONFIG.STATE
      */
     setState(state) {
+        if (this.isPaused()) {
+            this.pausedState = state;
+            return;
+        }
+
         this.gameState = state;
     }
 
@@ -216,15 +471,17 @@ class LevelManager {
     }
 }
 
-// Default levels (built-in)
+// Default levels (built-in copy of levels/levels.json, used when the pack can't be fetched)
 const DEFAULT_LEVELS = [
     // Level 1: Tutorial - Simple path
     {
         id: 1,
         name: "First Steps",
+        description: "Learn the basics - match tiles to clear a path!",
         gridWidth: 7,
         gridHeight: 8,
         maxMoves: 25,
+        stars: [2000, 3500, 5500],
         characterStart: { x: 3, y: 7 },
         exitPosition: { x: 3, y: 0 },
         blockers: [],
@@ -235,9 +492,11 @@ const DEFAULT_LEVELS = [
     {
         id: 2,
         name: "Stone Cold",
+        description: "Stone blocks can't be moved or matched!",
         gridWidth: 7,
         gridHeight: 9,
         maxMoves: 22,
+        stars: [2000, 3500, 5500],
         characterStart: { x: 3, y: 8 },
         exitPosition: { x: 3, y: 0 },
         blockers: [
@@ -253,16 +512,26 @@ const DEFAULT_LEVELS = [
     {
         id: 3,
         name: "Ice Breaker",
+        description: "Ice tiles need multiple matches to break!",
         gridWidth: 8,
         gridHeight: 10,
         maxMoves: 25,
+        stars: [2000, 3500, 6000],
         characterStart: { x: 4, y: 9 },
         exitPosition: { x: 4, y: 0 },
         blockers: [
             { type: "stone", x: 2, y: 3 },
-            { type: "stone", x: 5, y: 3 },
-            { type: "stone", x: 3, y: 5, iceLayer: 2 },
-            { type: "stone", x: 4, y: 5, iceLayer: 2 }
+            { type: "stone", x: 5, y: 3 }
+        ],
+        overlays: [
+            // Frozen bands, thickest in the middle
+            { type: "ice", x: 2, y: 5 },
+            { type: "ice", x: 3, y: 5, layers: 2 },
+            { type: "ice", x: 4, y: 5, layers: 2 },
+            { type: "ice", x: 5, y: 5 },
+            { type: "ice", x: 3, y: 2 },
+            { type: "ice", x: 4, y: 2, layers: 2 },
+            { type: "ice", x: 5, y: 2 }
         ],
         tileTypes: ["red", "blue", "green", "yellow", "purple"]
     },
@@ -271,9 +540,11 @@ const DEFAULT_LEVELS = [
     {
         id: 4,
         name: "Narrow Escape",
+        description: "Navigate through the narrow passage!",
         gridWidth: 8,
         gridHeight: 10,
         maxMoves: 22,
+        stars: [1800, 3000, 5000],
         characterStart: { x: 4, y: 9 },
         exitPosition: { x: 4, y: 0 },
         blockers: [
@@ -292,6 +563,10 @@ const DEFAULT_LEVELS = [
             { type: "stone", x: 5, y: 5 },
             { type: "stone", x: 5, y: 6 }
         ],
+        overlays: [
+            { type: "locked", x: 3, y: 5 },
+            { type: "locked", x: 4, y: 3 }
+        ],
         tileTypes: ["red", "blue", "green", "yellow", "purple"]
     },
 
@@ -299,9 +574,11 @@ const DEFAULT_LEVELS = [
     {
         id: 5,
         name: "The Gauntlet",
+        description: "The ultimate challenge awaits!",
         gridWidth: 9,
         gridHeight: 12,
         maxMoves: 30,
+        stars: [1500, 3000, 5000],
         characterStart: { x: 4, y: 11 },
         exitPosition: { x: 4, y: 0 },
         blockers: [
@@ -324,5 +601,198 @@ const DEFAULT_LEVELS = [
             { type: "stone", x: 5, y: 2 }
         ],
         tileTypes: ["red", "blue", "green", "yellow", "purple"]
+    },
+
+    // Level 6: Exit off to the side
+    {
+        id: 6,
+        name: "Side Door",
+        description: "The way out is not straight up - go around!",
+        gridWidth: 8,
+        gridHeight: 9,
+        maxMoves: 22,
+        stars: [2000, 3500, 6000],
+        characterStart: { x: 1, y: 8 },
+        exitPosition: { x: 6, y: 0 },
+        blockers: [
+            // Ceiling over the start
+            { type: "stone", x: 0, y: 7 },
+            { type: "stone", x: 1, y: 7 },
+            { type: "stone", x: 2, y: 7 },
+            // Ledge on the right
+            { type: "stone", x: 4, y: 4 },
+            { type: "stone", x: 5, y: 4 },
+            { type: "stone", x: 6, y: 4 },
+            { type: "stone", x: 7, y: 4 },
+            // Wall beside the exit
+            { type: "stone", x: 5, y: 0 },
+            { type: "stone", x: 5, y: 1 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow", "purple"]
+    },
+
+    // Level 7: Breakable blockers
+    {
+        id: 7,
+        name: "Demolition",
+        description: "Smash the crates, crack the wall and break the chains!",
+        gridWidth: 8,
+        gridHeight: 10,
+        maxMoves: 25,
+        stars: [3000, 5500, 9000],
+        characterStart: { x: 3, y: 9 },
+        exitPosition: { x: 4, y: 0 },
+        blockers: [
+            // Wall of crates and crackable stones
+            { type: "crate", x: 0, y: 6 },
+            { type: "crate", x: 1, y: 6 },
+            { type: "crackable", x: 2, y: 6, hits: 2 },
+            { type: "crackable", x: 3, y: 6, hits: 2 },
+            { type: "crackable", x: 4, y: 6, hits: 2 },
+            { type: "crackable", x: 5, y: 6, hits: 2 },
+            { type: "crate", x: 6, y: 6 },
+            { type: "crate", x: 7, y: 6 },
+            // Chained tiles
+            { type: "chain", x: 3, y: 3, hits: 2 },
+            { type: "chain", x: 4, y: 3, hits: 2 },
+            { type: "chain", x: 1, y: 2 },
+            { type: "chain", x: 6, y: 2 },
+            // Corners
+            { type: "stone", x: 0, y: 0 },
+            { type: "stone", x: 7, y: 0 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow"]
+    },
+    {
+        id: 8,
+        name: "Rising Tide",
+        description: "The water rises every 5 moves and the slime keeps creeping - climb fast!",
+        gridWidth: 7,
+        gridHeight: 10,
+        maxMoves: 25,
+        stars: [3000, 5500, 10000],
+        characterStart: { x: 3, y: 9 },
+        exitPosition: { x: 3, y: 0 },
+        blockers: [
+            // Slime patches across the climb
+            { type: "slime", x: 1, y: 4 },
+            { type: "slime", x: 3, y: 3 },
+            { type: "slime", x: 5, y: 4 },
+            // Corners
+            { type: "stone", x: 0, y: 0 },
+            { type: "stone", x: 6, y: 0 }
+        ],
+        hazards: [
+            { type: "water", every: 5 },
+            { type: "slime", every: 2 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow"]
+    },
+    {
+        id: 9,
+        name: "Rescue Party",
+        description: "Three people are trapped and there are two ways out - get at least two of them to safety!",
+        gridWidth: 8,
+        gridHeight: 9,
+        maxMoves: 30,
+        stars: [3000, 5500, 9000],
+        characters: [
+            { x: 1, y: 8 },
+            { x: 4, y: 8 },
+            { x: 6, y: 8 }
+        ],
+        exits: [
+            { x: 0, y: 0 },
+            { x: 7, y: 0 }
+        ],
+        escapeQuota: 2,
+        blockers: [
+            // Stones split the board down the middle
+            { type: "stone", x: 3, y: 0 },
+            { type: "stone", x: 4, y: 0 },
+            { type: "stone", x: 3, y: 4 },
+            { type: "stone", x: 4, y: 4 },
+            // Cracked walls over the outer climbs
+            { type: "crackable", x: 1, y: 5 },
+            { type: "crackable", x: 6, y: 5 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow", "purple"]
+    },
+    {
+        id: 10,
+        name: "Dry Shaft",
+        description: "Nothing refills the shaft above the character - every tile cleared from it stays gone!",
+        gridWidth: 7,
+        gridHeight: 10,
+        maxMoves: 22,
+        stars: [2000, 3200, 4500],
+        characterStart: { x: 3, y: 9 },
+        exitPosition: { x: 3, y: 0 },
+        noSpawnColumns: [3],
+        blockers: [
+            // Stones beside the exit and two ledges - tiles slide around them
+            { type: "stone", x: 2, y: 0 },
+            { type: "stone", x: 4, y: 0 },
+            { type: "stone", x: 1, y: 5 },
+            { type: "stone", x: 5, y: 5 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow"]
+    },
+    {
+        id: 11,
+        name: "Cold Harvest",
+        description: "No rush to leave this time - gather 50 blue tiles and break every block of ice!",
+        gridWidth: 8,
+        gridHeight: 9,
+        maxMoves: 22,
+        stars: [5000, 8000, 11000],
+        characterStart: { x: 4, y: 8 },
+        exitPosition: { x: 4, y: 0 },
+        objectives: [
+            { type: "collect", color: "blue", count: 50 },
+            { type: "ice" }
+        ],
+        blockers: [
+            { type: "stone", x: 0, y: 4 },
+            { type: "stone", x: 7, y: 4 }
+        ],
+        overlays: [
+            // A frozen band across the middle, thickest near the stones
+            { type: "ice", x: 1, y: 4 },
+            { type: "ice", x: 2, y: 4, layers: 2 },
+            { type: "ice", x: 3, y: 4 },
+            { type: "ice", x: 4, y: 4 },
+            { type: "ice", x: 5, y: 4, layers: 2 },
+            { type: "ice", x: 6, y: 4 },
+            // Two thick blocks up top
+            { type: "ice", x: 2, y: 1, layers: 2 },
+            { type: "ice", x: 5, y: 1, layers: 2 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow", "purple"]
+    },
+    {
+        id: 12,
+        name: "Beat the Clock",
+        description: "No move limit, but only 90 seconds - crack every stone and get out!",
+        gridWidth: 7,
+        gridHeight: 9,
+        timeLimit: 90,
+        stars: [2000, 3000, 4000],
+        characterStart: { x: 3, y: 8 },
+        exitPosition: { x: 3, y: 0 },
+        objectives: [
+            { type: "escape" },
+            { type: "stones" }
+        ],
+        blockers: [
+            // A thick wall across the climb
+            { type: "crackable", x: 2, y: 5, hits: 3 },
+            { type: "crackable", x: 3, y: 5, hits: 3 },
+            { type: "crackable", x: 4, y: 5, hits: 3 },
+            // Two more out on the edges
+            { type: "crackable", x: 0, y: 2 },
+            { type: "crackable", x: 6, y: 2 }
+        ],
+        tileTypes: ["red", "blue", "green", "yellow", "purple"]
     }
 ];
@@ -10,18 +10,25 @@ class MatchResolver {
      */
     constructor(gridManager) {
         this.gridManager = gridManager;
+        this.damageSystem = new DamageSystem(gridManager);
     }
 
     /**
-     * Find all matches on the grid
-     * @returns {Object[]} Array of match objects { tiles: [], type: 'horizontal'|'vertical', length: number }
+     * Find all matches on the grid - straight runs, with crossing runs of
+     * the same color merged into one L, T or plus shaped match
+     * @returns {Object[]} Array of match objects
+     *   { tiles: [], type: 'horizontal'|'vertical'|'shape', shape, length, color, intersection? }
      */
     findAllMatches() {
-        const matches = [];
-        const visited = new Set();
+        return this.mergeRuns(this.findRuns());
+    }
 
-        // Helper to create position key
-        const key = (x, y) => `${x},${y}`;
+    /**
+     * Find every straight run of 3 or more
+     * @returns {Object[]} Array of runs { tiles: [], type: 'horizontal'|'vertical', length, color }
+     */
+    findRuns() {
+        const matches = [];
 
         // Find horizontal matches
         for (let y = 0; y < this.gridManager.height; y++) {
@@ -43,7 +50,6 @@ class MatchResolver {
                         const matchTiles = [];
                         for (let mx = matchStart; mx < x; mx++) {
                             matchTiles.push({ x: mx, y: y });
-                            visited.add(key(mx, y));
                         }
                         matches.push({
                             tiles: matchTiles,
@@ -76,7 +82,6 @@ class MatchResolver {
                     if (matchLength >= CONFIG.MATCH.MIN_MATCH && currentType !== null) {
                         const matchTiles = [];
                         for (let my = matchStart; my < y; my++) {
-                            // Only add if not already in a horizontal match (avoid double counting)
                             matchTiles.push({ x: x, y: my });
                         }
                         matches.push({
@@ -96,6 +101,89 @@ class MatchResolver {
         return matches;
     }
 
+    /**
+     * Merge runs that share a tile into shaped matches
+     * @param {Object[]} runs - Runs from findRuns
+     * @returns {Object[]} Straight runs (shape LINE) and merged shapes, in scan order
+     */
+    mergeRuns(runs) {
+        // Union runs that share a tile (shared tiles always have the same color)
+        const groupOf = runs.map((run, index) => index);
+        const find = index => (groupOf[index] === index ? index : (groupOf[index] = find(groupOf[index])));
+        const runAt = new Map();
+
+        runs.forEach((run, index) => {
+            run.tiles.forEach(pos => {
+                const key = `${pos.x},${pos.y}`;
+                if (runAt.has(key)) {
+                    groupOf[find(index)] = find(runAt.get(key));
+                } else {
+                    runAt.set(key, index);
+                }
+            });
+        });
+
+        const groups = new Map();
+        runs.forEach((run, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(run);
+        });
+
+        return Array.from(groups.values()).map(group => {
+            if (group.length === 1) {
+                return { ...group[0], shape: CONFIG.MATCH_SHAPES.LINE };
+            }
+            return this.createShapedMatch(group);
+        });
+    }
+
+    /**
+     * Build one match from crossing runs of the same color
+     * @param {Object[]} group - Runs that share tiles
+     * @returns {Object} { tiles, type: 'shape', shape, length, color, intersection }
+     */
+    createShapedMatch(group) {
+        const tiles = new Map();
+        group.forEach(run => run.tiles.forEach(pos => tiles.set(`${pos.x},${pos.y}`, pos)));
+
+        // The first crossing found (in scan order) decides the shape
+        const horizontals = group.filter(run => run.type === 'horizontal');
+        const verticals = group.filter(run => run.type === 'vertical');
+        let intersection = null;
+        let shape = CONFIG.MATCH_SHAPES.L;
+
+        for (const h of horizontals) {
+            for (const v of verticals) {
+                const x = v.tiles[0].x;
+                const y = h.tiles[0].y;
+                const hIndex = x - h.tiles[0].x;
+                const vIndex = y - v.tiles[0].y;
+
+                if (hIndex < 0 || hIndex >= h.length || vIndex < 0 || vIndex >= v.length) continue;
+
+                const hEnd = hIndex === 0 || hIndex === h.length - 1;
+                const vEnd = vIndex === 0 || vIndex === v.length - 1;
+
+                intersection = { x, y };
+                if (hEnd && vEnd) shape = CONFIG.MATCH_SHAPES.L;
+                else if (hEnd || vEnd) shape = CONFIG.MATCH_SHAPES.T;
+                else shape = CONFIG.MATCH_SHAPES.PLUS;
+                break;
+            }
+            if (intersection) break;
+        }
+
+        return {
+            tiles: Array.from(tiles.values()),
+            type: 'shape',
+            shape,
+            length: tiles.size,
+            color: group[0].color,
+            intersection
+        };
+    }
+
     /**
      * Get all unique positions from matches
      * @param {Object[]} matches - Array of match objects
@@ -119,32 +207,53 @@ class MatchResolver {
     /**
      * Determine if a special tile should be created
      * @param {Object} match - Match object
+     * @param {Object[]} swappedPositions - Cells the player just swapped, preferred first
      * @returns {Object|null} { type: specialType, position: {x, y} } or null
      */
-    getSpecialTileForMatch(match) {
-        if (match.length >= CONFIG.MATCH.BOMB_COUNT) {
-            // 5+ match creates a bomb
-            const centerIndex = Math.floor(match.tiles.length / 2);
+    getSpecialTileForMatch(match, swappedPositions = []) {
+        if (match.type === 'shape') {
+            // L, T and plus shapes leave a bomb where the runs cross
             return {
                 type: CONFIG.SPECIAL_TILES.BOMB,
-                position: match.tiles[centerIndex],
+                position: match.intersection,
+                color: match.color
+            };
+        } else if (match.length >= CONFIG.MATCH.BOMB_COUNT) {
+            // Straight 5+ match creates a color bomb
+            return {
+                type: CONFIG.SPECIAL_TILES.COLOR_BOMB,
+                position: this.getSpecialPosition(match, swappedPositions),
                 color: match.color
             };
         } else if (match.length >= CONFIG.MATCH.LINE_CLEAR_COUNT) {
             // 4-match creates line clear
-            const centerIndex = Math.floor(match.tiles.length / 2);
             const specialType = match.type === 'horizontal'
                 ? CONFIG.SPECIAL_TILES.LINE_V  // Horizontal match -> vertical clear
                 : CONFIG.SPECIAL_TILES.LINE_H; // Vertical match -> horizontal clear
             return {
                 type: specialType,
-                position: match.tiles[centerIndex],
+                position: this.getSpecialPosition(match, swappedPositions),
                 color: match.color
             };
         }
         return null;
     }
 
+    /**
+     * Pick the cell a run's special appears on: the swapped cell if it is part
+     * of the run, otherwise the middle of the run (cascades have no swapped cell)
+     * @param {Object} match - Match object
+     * @param {Object[]} swappedPositions - Cells the player just swapped, preferred first
+     * @returns {Object} {x, y} position
+     */
+    getSpecialPosition(match, swappedPositions = []) {
+        const swapped = swappedPositions.find(pos =>
+            match.tiles.some(tile => tile.x === pos.x && tile.y === pos.y)
+        );
+
+        return swapped || match.tiles[Math.floor(match.tiles.length / 2)];
+    }
+
     /**
      * Get tiles affected by special tile activation
      * @param {number} x - Special tile x position
@@ -159,8 +268,7 @@ class MatchResolver {
             case CONFIG.SPECIAL_TILES.LINE_H:
                 // Clear entire row
                 for (let px = 0; px < this.gridManager.width; px++) {
-                    const tile = this.gridManager.getTile(px, y);
-                    if (tile && !tile.isBlocker() && !tile.isCharacter() && !tile.isExit()) {
+                    if (this.isBlastable(px, y)) {
                         positions.push({ x: px, y: y });
                     }
                 }
@@ -169,8 +277,7 @@ class MatchResolver {
             case CONFIG.SPECIAL_TILES.LINE_V:
                 // Clear entire column
                 for (let py = 0; py < this.gridManager.height; py++) {
-                    const tile = this.gridManager.getTile(x, py);
-                    if (tile && !tile.isBlocker() && !tile.isCharacter() && !tile.isExit()) {
+                    if (this.isBlastable(x, py)) {
                         positions.push({ x: x, y: py });
                     }
                 }
@@ -180,75 +287,307 @@ class MatchResolver {
                 // Clear 3x3 area
                 for (let py = y - 1; py <= y + 1; py++) {
                     for (let px = x - 1; px <= x + 1; px++) {
-                        const tile = this.gridManager.getTile(px, py);
-                        if (tile && !tile.isBlocker() && !tile.isCharacter() && !tile.isExit()) {
+                        if (this.isBlastable(px, py)) {
                             positions.push({ x: px, y: py });
                         }
                     }
                 }
                 break;
+
+            case CONFIG.SPECIAL_TILES.COLOR_BOMB:
+                // Set off by a match or blast - clears its own color
+                positions.push(...this.getColorPositions(this.gridManager.getTile(x, y).type));
+                break;
         }
 
         return positions;
     }
 
     /**
-     * Process all matches - clear tiles and handle ice/locked
-     * @param {Object[]} matches - Array of match objects
-     * @returns {Object} { clearedPositions: [], specialTiles: [] }
+     * Get every blastable tile of a color
+     * @param {string|null} color - Tile color, or null for every blastable tile
+     * @returns {Object[]} Array of {x, y} positions
      */
-    processMatches(matches) {
-        const clearedPositions = [];
-        const specialTiles = [];
-        const processed = new Set();
+    getColorPositions(color) {
+        const positions = [];
 
-        matches.forEach(match => {
-            // Check for special tile creation
-            const special = this.getSpecialTileForMatch(match);
-            if (special) {
-                specialTiles.push(special);
+        for (let y = 0; y < this.gridManager.height; y++) {
+            for (let x = 0; x < this.gridManager.width; x++) {
+                const tile = this.gridManager.getTile(x, y);
+                if (this.isBlastable(x, y) && (color === null || tile.type === color)) {
+                    positions.push({ x, y });
+                }
             }
+        }
 
-            // Process each tile in match
-            match.tiles.forEach(pos => {
-                const key = `${pos.x},${pos.y}`;
-                if (processed.has(key)) return;
-                processed.add(key);
-
-                const tile = this.gridManager.getTile(pos.x, pos.y);
-                if (!tile) return;
-
-                // Handle ice layer
-                if (tile.iceLayer > 0) {
-                    tile.removeIceLayer();
-                    tile.updateElement();
-                    // Don't clear tile yet if still has ice
-                    if (tile.iceLayer > 0) return;
-                }
+        return positions;
+    }
 
-                // Handle locked tiles - unlock adjacent
-                this.unlockAdjacentTiles(pos.x, pos.y);
+    /**
+     * Check if a swap involves a color bomb (valid with any colored tile, no match needed)
+     * @param {number} x1 - First position x
+     * @param {number} y1 - First position y
+     * @param {number} x2 - Second position x
+     * @param {number} y2 - Second position y
+     * @returns {Object|null} { bomb: {x, y}, target: {x, y} } or null
+     */
+    getColorBombSwap(x1, y1, x2, y2) {
+        const isColorBomb = tile => tile?.specialType === CONFIG.SPECIAL_TILES.COLOR_BOMB;
+        const tile1 = this.gridManager.getTile(x1, y1);
+        const tile2 = this.gridManager.getTile(x2, y2);
 
-                clearedPositions.push(pos);
-            });
+        if (!tile1?.isMatchable() || !tile2?.isMatchable()) return null;
+
+        if (isColorBomb(tile2)) return { bomb: { x: x2, y: y2 }, target: { x: x1, y: y1 } };
+        if (isColorBomb(tile1)) return { bomb: { x: x1, y: y1 }, target: { x: x2, y: y2 } };
+        return null;
+    }
+
+    /**
+     * Determine the combo produced by swapping two special tiles
+     * @param {number} x1 - First position x
+     * @param {number} y1 - First position y
+     * @param {number} x2 - Second position x
+     * @param {number} y2 - Second position y
+     * @returns {string|null} Combo type from CONFIG.SPECIAL_COMBOS, or null if not both special
+     */
+    getSpecialCombo(x1, y1, x2, y2) {
+        const tile1 = this.gridManager.getTile(x1, y1);
+        const tile2 = this.gridManager.getTile(x2, y2);
+        if (!tile1?.isSpecial || !tile2?.isSpecial) return null;
+
+        const bombs = [tile1, tile2].filter(tile => tile.specialType === CONFIG.SPECIAL_TILES.BOMB).length;
+
+        if (bombs === 2) return CONFIG.SPECIAL_COMBOS.BIG_BOMB;
+        if (bombs === 1) return CONFIG.SPECIAL_COMBOS.BIG_LINE;
+        return CONFIG.SPECIAL_COMBOS.CROSS;
+    }
+
+    /**
+     * Get tiles affected by a special combo
+     * @param {number} x - Combo center x position
+     * @param {number} y - Combo center y position
+     * @param {string} comboType - Type from CONFIG.SPECIAL_COMBOS
+     * @returns {Object[]} Array of unique {x, y} positions to clear
+     */
+    getComboAffectedPositions(x, y, comboType) {
+        const positionMap = new Map();
+        const addPositions = positions => positions.forEach(pos => {
+            positionMap.set(`${pos.x},${pos.y}`, pos);
         });
 
-        return { clearedPositions, specialTiles };
+        switch (comboType) {
+            case CONFIG.SPECIAL_COMBOS.CROSS:
+                // Clear row and column
+                addPositions(this.getSpecialTileAffectedPositions(x, y, CONFIG.SPECIAL_TILES.LINE_H));
+                addPositions(this.getSpecialTileAffectedPositions(x, y, CONFIG.SPECIAL_TILES.LINE_V));
+                break;
+
+            case CONFIG.SPECIAL_COMBOS.BIG_LINE:
+                // Clear 3 rows and 3 columns
+                for (let d = -1; d <= 1; d++) {
+                    addPositions(this.getSpecialTileAffectedPositions(x, y + d, CONFIG.SPECIAL_TILES.LINE_H));
+                    addPositions(this.getSpecialTileAffectedPositions(x + d, y, CONFIG.SPECIAL_TILES.LINE_V));
+                }
+                break;
+
+            case CONFIG.SPECIAL_COMBOS.BIG_BOMB:
+                // Clear 5x5 area
+                for (let py = y - 2; py <= y + 2; py++) {
+                    for (let px = x - 2; px <= x + 2; px++) {
+                        if (this.isBlastable(px, py)) {
+                            addPositions([{ x: px, y: py }]);
+                        }
+                    }
+                }
+                break;
+        }
+
+        return Array.from(positionMap.values());
     }
 
     /**
-     * Unlock any locked tiles adjacent to position
+     * Check if a special tile blast can hit the tile at a position
+     * (stones, the exit and empty cells - including the character's cell - are
+     * skipped, breakable blockers take a hit)
      * @param {number} x - X position
      * @param {number} y - Y position
+     * @returns {boolean}
+     */
+    isBlastable(x, y) {
+        return this.damageSystem.isHittable(x, y);
+    }
+
+    /**
+     * Process all matches - hit the matched tiles and detonate specials
+     * @param {Object[]} matches - Array of match objects
+     * @param {Object[]} swappedPositions - Cells the player just swapped (empty for cascades)
+     * @returns {Object} { clearedPositions: [], damagedPositions: [], specialTiles: [], activations: [] }
      */
-    unlockAdjacentTiles(x, y) {
-        const adjacent = this.gridManager.getAdjacentTiles(x, y);
-        adjacent.forEach(tile => {
-            if (tile.isLocked) {
-                tile.unlock();
-                tile.updateElement();
+    processMatches(matches, swappedPositions = []) {
+        const pass = this.damageSystem.createPass();
+        const specialTiles = [];
+
+        matches.forEach(match => {
+            const special = this.getSpecialTileForMatch(match, swappedPositions);
+
+            // Process each tile in match
+            match.tiles.forEach(pos => this.damageSystem.hit(pos, pass));
+
+            // Ice or chains may have kept the chosen cell's tile - use a cell that did clear
+            if (special) {
+                const position = this.findClearedCell(match, special.position, pass.clearedPositions);
+                if (position) specialTiles.push({ ...special, position });
             }
         });
+
+        // Special tiles caught in a match go off (and may set off others)
+        const activations = this.detonateSpecials([...pass.clearedPositions], pass);
+
+        return this.createResult(pass, specialTiles, activations);
+    }
+
+    /**
+     * Pick a cleared cell of a match for its special tile
+     * @param {Object} match - Match object
+     * @param {Object} preferred - {x, y} chosen by getSpecialTileForMatch
+     * @param {Object[]} clearedPositions - Positions cleared so far this pass
+     * @returns {Object|null} {x, y} position, or null if none of the match cleared
+     */
+    findClearedCell(match, preferred, clearedPositions) {
+        const isCleared = pos => clearedPositions.some(cleared => cleared.x === pos.x && cleared.y === pos.y);
+
+        if (isCleared(preferred)) return preferred;
+        return match.tiles.find(isCleared) || null;
+    }
+
+    /**
+     * Build the result of a pass
+     * @param {Object} pass - Pass from DamageSystem.createPass
+     * @param {Object[]} specialTiles - New special tiles
+     * @param {Object[]} activations - Specials that went off
+     * @returns {Object} { clearedPositions: [], damagedPositions: [], specialTiles: [], activations: [] }
+     */
+    createResult(pass, specialTiles, activations) {
+        return {
+            clearedPositions: pass.clearedPositions,
+            damagedPositions: pass.damagedPositions,
+            specialTiles,
+            activations
+        };
+    }
+
+    /**
+     * Resolve a special + special swap - both specials are used up and the
+     * combo blast is centered on the cell the first tile was moved to
+     * @param {number} x1 - First position x
+     * @param {number} y1 - First position y
+     * @param {number} x2 - Second position x (combo center)
+     * @param {number} y2 - Second position y (combo center)
+     * @returns {Object} { clearedPositions: [], damagedPositions: [], specialTiles: [], activations: [] }
+     */
+    processSpecialCombo(x1, y1, x2, y2) {
+        const pass = this.damageSystem.createPass();
+        const comboType = this.getSpecialCombo(x1, y1, x2, y2);
+
+        if (!comboType) {
+            return this.createResult(pass, [], []);
+        }
+
+        this.damageSystem.hit({ x: x1, y: y1 }, pass, DamageSystem.CAUSES.BLAST);
+        this.damageSystem.hit({ x: x2, y: y2 }, pass, DamageSystem.CAUSES.BLAST);
+
+        const affectedPositions = this.getComboAffectedPositions(x2, y2, comboType);
+        const caughtSpecials = this.hitAll(affectedPositions, pass);
+
+        const activations = [
+            { type: comboType, position: { x: x2, y: y2 }, affectedPositions },
+            ...this.detonateSpecials(caughtSpecials, pass)
+        ];
+
+        return this.createResult(pass, [], activations);
+    }
+
+    /**
+     * Resolve a color bomb swap - the bomb is used up and clears every tile of
+     * the color it was swapped with (two color bombs clear the whole board)
+     * @param {number} x1 - First position x
+     * @param {number} y1 - First position y
+     * @param {number} x2 - Second position x
+     * @param {number} y2 - Second position y
+     * @returns {Object} { clearedPositions: [], damagedPositions: [], specialTiles: [], activations: [] }
+     */
+    processColorBombSwap(x1, y1, x2, y2) {
+        const pass = this.damageSystem.createPass();
+        const swap = this.getColorBombSwap(x1, y1, x2, y2);
+
+        if (!swap) {
+            return this.createResult(pass, [], []);
+        }
+
+        const { bomb, target } = swap;
+        const targetTile = this.gridManager.getTile(target.x, target.y);
+        const isDouble = targetTile.specialType === CONFIG.SPECIAL_TILES.COLOR_BOMB;
+
+        this.damageSystem.hit(bomb, pass, DamageSystem.CAUSES.BLAST);
+        if (isDouble) {
+            this.damageSystem.hit(target, pass, DamageSystem.CAUSES.BLAST);
+        }
+
+        const affectedPositions = this.getColorPositions(isDouble ? null : targetTile.type);
+        const caughtSpecials = this.hitAll(affectedPositions, pass);
+
+        const activations = [
+            {
+                type: isDouble ? CONFIG.SPECIAL_COMBOS.BOARD_CLEAR : CONFIG.SPECIAL_TILES.COLOR_BOMB,
+                position: bomb,
+                affectedPositions
+            },
+            ...this.detonateSpecials(caughtSpecials, pass)
+        ];
+
+        return this.createResult(pass, [], activations);
+    }
+
+    /**
+     * Hit every position in a blast
+     * @param {Object[]} positions - {x, y} positions in the blast
+     * @param {Object} pass - Pass from DamageSystem.createPass
+     * @returns {Object[]} Special tiles the blast cleared (they go off next)
+     */
+    hitAll(positions, pass) {
+        return positions.filter(pos => {
+            const tile = this.gridManager.getTile(pos.x, pos.y);
+            return this.damageSystem.hit(pos, pass, DamageSystem.CAUSES.BLAST) && tile.isSpecial;
+        });
+    }
+
+    /**
+     * Detonate every special tile among the given positions, chaining into
+     * any special tiles caught in the blasts
+     * @param {Object[]} positions - {x, y} positions about to be cleared
+     * @param {Object} pass - Pass from DamageSystem.createPass
+     * @returns {Object[]} Activations in firing order { type, position, affectedPositions }
+     */
+    detonateSpecials(positions, pass) {
+        const activations = [];
+        const queue = positions.filter(pos => this.gridManager.getTile(pos.x, pos.y)?.isSpecial);
+
+        while (queue.length > 0) {
+            const pos = queue.shift();
+            const tile = this.gridManager.getTile(pos.x, pos.y);
+            const affectedPositions = this.getSpecialTileAffectedPositions(pos.x, pos.y, tile.specialType);
+
+            activations.push({
+                type: tile.specialType,
+                position: pos,
+                affectedPositions
+            });
+
+            queue.push(...this.hitAll(affectedPositions, pass));
+        }
+
+        return activations;
     }
 
     /**
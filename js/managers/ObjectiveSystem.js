@@ -0,0 +1,143 @@
+/**
+ * Objective System
+ * Tracks a level's goals and decides when they are all met
+ *
+ * A level lists its goals in `objectives` (escaping is the only goal when it
+ * doesn't). Each goal type in ObjectiveSystem.GOALS says how big the goal is
+ * when the level starts and how far along it is now:
+ *   { type: 'escape' }                       - the level's escape quota of characters reach an exit
+ *   { type: 'collect', color, count }        - clear count tiles of one color
+ *   { type: 'ice' }                          - break every ice cell on the board
+ *   { type: 'stones' }                       - break every crackable stone on the board
+ *   { type: 'score', target }                - reach a score
+ */
+
+class ObjectiveSystem {
+    /**
+     * Create objective system
+     * @param {GridManager} gridManager - Reference to grid manager
+     * @param {CharacterController} characterController - Tracks who has escaped
+     * @param {ScoreSystem} scoreSystem - Tracks the score
+     */
+    constructor(gridManager, characterController, scoreSystem) {
+        this.gridManager = gridManager;
+        this.characterController = characterController;
+        this.scoreSystem = scoreSystem;
+        this.goals = [];        // { type, ...settings, target }
+        this.collected = {};    // Color -> tiles of that color cleared so far
+    }
+
+    /**
+     * Set up a level's goals against the starting board
+     * @param {Object[]} objectives - The level's objectives (defaults to escaping)
+     */
+    initialize(objectives = [{ type: ObjectiveSystem.TYPES.ESCAPE }]) {
+        this.collected = {};
+        this.goals = objectives.map(goal => ({
+            ...goal,
+            target: ObjectiveSystem.GOALS[goal.type].getTarget(this, goal)
+        }));
+    }
+
+    /**
+     * Count cleared tiles towards collect goals
+     * @param {Tile[]} tiles - Tiles about to be cleared
+     */
+    recordClears(tiles) {
+        tiles.forEach(tile => {
+            if (tile && CONFIG.MATCHABLE_COLORS.includes(tile.type)) {
+                this.collected[tile.type] = (this.collected[tile.type] || 0) + 1;
+            }
+        });
+    }
+
+    /**
+     * Count the cells on the board that match a test
+     * @param {Function} test - (tile) => boolean
+     * @returns {number}
+     */
+    countTiles(test) {
+        let count = 0;
+
+        for (let y = 0; y < this.gridManager.height; y++) {
+            for (let x = 0; x < this.gridManager.width; x++) {
+                const tile = this.gridManager.getTile(x, y);
+                if (tile && test(tile)) count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Get how far along each goal is
+     * @returns {Object[]} { type, color?, current, target, done } per goal, in the level's order
+     */
+    getProgress() {
+        return this.goals.map(goal => {
+            const current = Math.min(goal.target, ObjectiveSystem.GOALS[goal.type].getCurrent(this, goal));
+            const progress = { type: goal.type, current, target: goal.target, done: current >= goal.target };
+
+            if (goal.color) progress.color = goal.color;
+            return progress;
+        });
+    }
+
+    /**
+     * Check if every goal is met
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.getProgress().every(goal => goal.done);
+    }
+
+    /**
+     * Get the state that changes during play
+     * @returns {Object} { collected }
+     */
+    getState() {
+        return { collected: { ...this.collected } };
+    }
+
+    /**
+     * Restore state from getState
+     * @param {Object} state - { collected }
+     */
+    restoreState(state) {
+        this.collected = { ...state.collected };
+    }
+}
+
+// Goal types
+ObjectiveSystem.TYPES = Object.freeze({
+    ESCAPE: 'escape',
+    COLLECT: 'collect',
+    ICE: 'ice',
+    STONES: 'stones',
+    SCORE: 'score'
+});
+
+// How each goal type is measured - add an entry here (and to the level
+// validator's objective types) for a new kind of goal
+ObjectiveSystem.GOALS = Object.freeze({
+    [ObjectiveSystem.TYPES.ESCAPE]: {
+        getTarget: system => system.characterController.escapeQuota,
+        getCurrent: system => system.characterController.getEscapedCount()
+    },
+    [ObjectiveSystem.TYPES.COLLECT]: {
+        getTarget: (system, goal) => goal.count,
+        getCurrent: (system, goal) => system.collected[goal.color] || 0
+    },
+    [ObjectiveSystem.TYPES.ICE]: {
+        getTarget: system => system.countTiles(tile => tile.iceLayer > 0),
+        getCurrent: (system, goal) => goal.target - system.countTiles(tile => tile.iceLayer > 0)
+    },
+    [ObjectiveSystem.TYPES.STONES]: {
+        getTarget: system => system.countTiles(tile => tile.type === CONFIG.TILE_TYPES.CRACKABLE),
+        getCurrent: (system, goal) => goal.target - system.countTiles(tile => tile.type === CONFIG.TILE_TYPES.CRACKABLE)
+    },
+    [ObjectiveSystem.TYPES.SCORE]: {
+        getTarget: (system, goal) => goal.target,
+        getCurrent: system => system.scoreSystem.score
+    }
+});
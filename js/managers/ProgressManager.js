@@ -0,0 +1,175 @@
+/**
+ * Progress Manager
+ * Remembers which levels are unlocked and the best result on each, per level pack
+ *
+ * Saved format (localStorage, CONFIG.PROGRESS.STORAGE_KEY):
+ *   { "v": 1, "packs": { "classic": { "unlocked": 3, "levels": { "1": { "score": 5200, "stars": 2, "moves": 14 } } } } }
+ * unlocked counts the levels open from the start of the pack; levels are keyed by
+ * level id and keep the best score, best stars and fewest moves separately.
+ * Older saves are upgraded one version at a time by ProgressManager.MIGRATIONS.
+ */
+
+class ProgressManager {
+    /**
+     * Create progress manager
+     * @param {Storage|null} storage - Where progress is kept (null keeps it in memory only)
+     */
+    constructor(storage = ProgressManager.getDefaultStorage()) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    /**
+     * Get the browser's localStorage, if the page is allowed to use it
+     * @returns {Storage|null}
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage === 'undefined' ? null : localStorage;
+        } catch (error) {
+            // Blocked storage throws on access
+            return null;
+        }
+    }
+
+    /**
+     * Create empty progress
+     * @returns {Object}
+     */
+    static createEmpty() {
+        return { v: CONFIG.PROGRESS.VERSION, packs: {} };
+    }
+
+    /**
+     * Bring saved progress up to the current version
+     * @param {Object} data - Parsed saved progress
+     * @param {Object} migrations - { [fromVersion]: data => data one version newer }
+     * @returns {Object} Current-version progress
+     * @throws {Error} If the save can't be upgraded
+     */
+    static migrate(data, migrations = ProgressManager.MIGRATIONS) {
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.v)) {
+            throw new Error('Saved progress has no version');
+        }
+
+        if (data.v > CONFIG.PROGRESS.VERSION) {
+            throw new Error(`Saved progress is from a newer version (${data.v})`);
+        }
+
+        while (data.v < CONFIG.PROGRESS.VERSION) {
+            const upgrade = migrations[data.v];
+            if (!upgrade) {
+                throw new Error(`No upgrade for saved progress version ${data.v}`);
+            }
+            data = { ...upgrade(data), v: data.v + 1 };
+        }
+
+        if (!data.packs || typeof data.packs !== 'object') {
+            throw new Error('Saved progress has no packs');
+        }
+
+        return data;
+    }
+
+    /**
+     * Read saved progress, starting over if there is none or it can't be used
+     * @returns {Object}
+     */
+    load() {
+        let json = null;
+        try {
+            json = this.storage?.getItem(CONFIG.PROGRESS.STORAGE_KEY) ?? null;
+        } catch (error) {
+            console.warn(error);
+        }
+
+        if (json === null) return ProgressManager.createEmpty();
+
+        try {
+            return ProgressManager.migrate(JSON.parse(json));
+        } catch (error) {
+            console.warn(`Discarding saved progress: ${error.message}`);
+            return ProgressManager.createEmpty();
+        }
+    }
+
+    /**
+     * Write progress to storage (a full or blocked storage only loses the save)
+     */
+    save() {
+        try {
+            this.storage?.setItem(CONFIG.PROGRESS.STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn(error);
+        }
+    }
+
+    /**
+     * Get a pack's progress
+     * @param {string} packId - Pack id
+     * @returns {Object} { unlocked, levels } - only the first level is open in a new pack
+     */
+    getPack(packId) {
+        return this.data.packs[packId] || { unlocked: 1, levels: {} };
+    }
+
+    /**
+     * Count the levels open from the start of a pack
+     * @param {string} packId - Pack id
+     * @returns {number}
+     */
+    getUnlockedCount(packId) {
+        return this.getPack(packId).unlocked;
+    }
+
+    /**
+     * Check if a level can be played
+     * @param {string} packId - Pack id
+     * @param {number} levelIndex - Level index (0-based)
+     * @returns {boolean}
+     */
+    isUnlocked(packId, levelIndex) {
+        return levelIndex < this.getUnlockedCount(packId);
+    }
+
+    /**
+     * Get the best results on a level
+     * @param {string} packId - Pack id
+     * @param {number} levelId - Level id
+     * @returns {Object|null} { score, stars, moves } or null if it was never won
+     */
+    getLevelRecord(packId, levelId) {
+        return this.getPack(packId).levels[levelId] || null;
+    }
+
+    /**
+     * Record a won level, keeping each best and unlocking the next level
+     * @param {string} packId - Pack id
+     * @param {number} levelIndex - Level index (0-based)
+     * @param {number} levelId - Level id
+     * @param {Object} result - { score, stars, movesUsed }
+     * @returns {Object} { record, isNewBest } - the level's bests, and whether the score beat the old best
+     */
+    recordWin(packId, levelIndex, levelId, { score, stars, movesUsed }) {
+        const pack = this.getPack(packId);
+        const previous = pack.levels[levelId];
+
+        const record = previous ? {
+            score: Math.max(previous.score, score),
+            stars: Math.max(previous.stars, stars),
+            moves: Math.min(previous.moves, movesUsed)
+        } : { score, stars, moves: movesUsed };
+
+        this.data.packs[packId] = {
+            unlocked: Math.max(pack.unlocked, levelIndex + 2),
+            levels: { ...pack.levels, [levelId]: record }
+        };
+        this.save();
+
+        return { record, isNewBest: !previous || score > previous.score };
+    }
+}
+
+// Upgrades for older saves, keyed by the version they upgrade from - add one
+// whenever CONFIG.PROGRESS.VERSION goes up
+ProgressManager.MIGRATIONS = Object.freeze({});
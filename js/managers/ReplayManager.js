@@ -0,0 +1,102 @@
+/**
+ * Replay Manager
+ * Records the seed and accepted swaps of a session and (de)serializes replays
+ *
+ * Replay format (compact JSON):
+ *   { "v": 1, "pack": "classic", "levelIndex": 2, "levelId": 3, "seed": 42, "moves": [[x1, y1, x2, y2], ...] }
+ * Levels played from the editor carry the whole level instead of pack/levelIndex/levelId:
+ *   { "v": 1, "level": { ... }, "seed": 42, "moves": [...] }
+ */
+
+class ReplayManager {
+    constructor() {
+        this.recording = null;
+    }
+
+    /**
+     * Start a new recording (discards the previous one)
+     * @param {Object} source - { pack, levelIndex, levelId } or { level } for custom levels
+     * @param {number} seed - RNG seed the board was built from
+     */
+    startRecording(source, seed) {
+        this.recording = {
+            v: CONFIG.REPLAY.VERSION,
+            ...source,
+            seed,
+            moves: []
+        };
+    }
+
+    /**
+     * Record an accepted swap
+     * @param {number} x1 - First tile x
+     * @param {number} y1 - First tile y
+     * @param {number} x2 - Second tile x
+     * @param {number} y2 - Second tile y
+     */
+    recordMove(x1, y1, x2, y2) {
+        if (this.recording) {
+            this.recording.moves.push([x1, y1, x2, y2]);
+        }
+    }
+
+    /**
+     * Drop the most recent recorded swap
+     */
+    removeLastMove() {
+        if (this.recording) {
+            this.recording.moves.pop();
+        }
+    }
+
+    /**
+     * Get the current recording
+     * @returns {Object|null}
+     */
+    getRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Serialize the current recording
+     * @returns {string} Replay JSON (empty string if nothing is being recorded)
+     */
+    serialize() {
+        return this.recording ? JSON.stringify(this.recording) : '';
+    }
+
+    /**
+     * Parse and check replay JSON
+     * @param {string} json - Replay JSON
+     * @returns {Object} Replay data
+     * @throws {Error} If the replay is malformed
+     */
+    static parse(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Replay is not valid JSON: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay must be a JSON object');
+        }
+        if (data.v !== CONFIG.REPLAY.VERSION) {
+            throw new Error(`Unsupported replay version ${data.v} (expected ${CONFIG.REPLAY.VERSION})`);
+        }
+        if (!Number.isInteger(data.seed) || data.seed < 0) {
+            throw new Error('Replay has no valid seed');
+        }
+        if (!data.level && (typeof data.pack !== 'string' || !Number.isInteger(data.levelIndex))) {
+            throw new Error('Replay must name a pack and level index, or embed a level');
+        }
+
+        const validMove = move => Array.isArray(move) && move.length === 4 && move.every(Number.isInteger);
+        if (!Array.isArray(data.moves) || !data.moves.every(validMove)) {
+            throw new Error('Replay moves must be [x1, y1, x2, y2] arrays');
+        }
+
+        return data;
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * Score System
+ * Awards points for what a move sets off and rates a finished level in stars
+ *
+ *   - Every cleared tile is worth CONFIG.SCORING.TILE and every special tile
+ *     created or set off CONFIG.SCORING.SPECIAL, times the combo: the first
+ *     wave of clears in a move counts once, each cascade after it one more time
+ *   - Every row a character climbs is worth CONFIG.SCORING.CLIMB
+ *   - Every move left at the win is worth CONFIG.SCORING.MOVE_BONUS
+ */
+
+class ScoreSystem {
+    constructor() {
+        this.score = 0;
+        this.combo = 0;         // Waves of clears so far this move
+        this.thresholds = [];   // Scores for 1, 2 and 3 stars
+    }
+
+    /**
+     * Start a level from zero
+     * @param {number[]} thresholds - The level's star thresholds, lowest first
+     */
+    initialize(thresholds = []) {
+        this.score = 0;
+        this.combo = 0;
+        this.thresholds = [...thresholds];
+    }
+
+    /**
+     * Start counting a new move's cascades
+     */
+    startMove() {
+        this.combo = 0;
+    }
+
+    /**
+     * Score one wave of clears, the next step up the combo
+     * @param {number} tiles - Tiles cleared
+     * @param {number} specials - Special tiles created or set off
+     * @returns {number} Points awarded
+     */
+    scoreClear(tiles, specials) {
+        this.combo++;
+        return this.add((tiles * CONFIG.SCORING.TILE + specials * CONFIG.SCORING.SPECIAL) * this.combo);
+    }
+
+    /**
+     * Score a character's climb
+     * @param {number} rows - Rows gained
+     * @returns {number} Points awarded
+     */
+    scoreClimb(rows) {
+        return this.add(Math.max(0, rows) * CONFIG.SCORING.CLIMB);
+    }
+
+    /**
+     * Turn the moves left at the win into points
+     * @param {number} moves - Moves remaining
+     * @returns {number} Points awarded
+     */
+    scoreMovesLeft(moves) {
+        return this.add(Math.max(0, moves) * CONFIG.SCORING.MOVE_BONUS);
+    }
+
+    /**
+     * Add points to the score
+     * @param {number} points - Points to add
+     * @returns {number} The points added
+     */
+    add(points) {
+        this.score += points;
+        return points;
+    }
+
+    /**
+     * Count the star thresholds a score reaches
+     * @param {number} score - Score to rate (defaults to the current one)
+     * @returns {number} 0 to 3
+     */
+    getStars(score = this.score) {
+        return this.thresholds.filter(threshold => score >= threshold).length;
+    }
+
+    /**
+     * Get the state that changes during play
+     * @returns {Object} { score }
+     */
+    getState() {
+        return { score: this.score };
+    }
+
+    /**
+     * Restore state from getState
+     * @param {Object} state - { score }
+     */
+    restoreState(state) {
+        this.score = state.score;
+        this.combo = 0;
+    }
+}
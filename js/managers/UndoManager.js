@@ -0,0 +1,60 @@
+/**
+ * Undo Manager
+ * Keeps snapshots of the game before each move and enforces the level's undo limit
+ */
+
+class UndoManager {
+    /**
+     * Create undo manager
+     * @param {number|null} limit - Undos allowed this attempt (null = unlimited, 0 = none)
+     */
+    constructor(limit = CONFIG.UNDO.DEFAULT_LIMIT) {
+        this.limit = limit;
+        this.used = 0;
+        this.snapshots = [];
+    }
+
+    /**
+     * Save the state from before a move
+     * @param {Object} snapshot - Game snapshot
+     */
+    push(snapshot) {
+        const remaining = this.getRemaining();
+        if (remaining === 0) return;
+
+        this.snapshots.push(snapshot);
+
+        // No point keeping more snapshots than undos left
+        if (remaining !== Infinity && this.snapshots.length > remaining) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Take the most recent snapshot and count it as used
+     * @returns {Object|null} Snapshot to restore, or null if undo isn't possible
+     */
+    pop() {
+        if (!this.canUndo()) return null;
+
+        this.used++;
+        return this.snapshots.pop();
+    }
+
+    /**
+     * Check if there is a move to undo and undos left
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.snapshots.length > 0 && this.getRemaining() > 0;
+    }
+
+    /**
+     * Get number of undos left
+     * @returns {number} Infinity when unlimited
+     */
+    getRemaining() {
+        if (this.limit === null) return Infinity;
+        return Math.max(0, this.limit - this.used);
+    }
+}
@@ -0,0 +1,416 @@
+/**
+ * Board Renderer
+ * Draws board snapshots from the GameEngine and turns taps and keys into swap requests
+ *
+ * The board is an ARIA grid that keeps keyboard focus itself: the keyboard
+ * cursor is announced through aria-activedescendant, so it survives render()
+ * rebuilding every tile element.
+ */
+
+class BoardRenderer {
+    /**
+     * Create a renderer
+     * @param {HTMLElement} boardElement - Container element for the grid
+     */
+    constructor(boardElement) {
+        this.boardElement = boardElement;
+        this.board = null;
+        this.elements = [];
+        this.selectedTile = null;
+        this.cursor = null;     // {x, y} of the keyboard cursor once it has been used
+
+        // Callbacks
+        this.onSwap = null;
+    }
+
+    /**
+     * Render a board snapshot to the DOM
+     * @param {Object} board - { grid: Tile[][], characterPositions, waterRows, spawners } from GameEngine.getBoard
+     */
+    render(board) {
+        this.board = board;
+        this.elements = [];
+        this.boardElement.innerHTML = '';
+
+        const height = board.grid.length;
+        const width = board.grid[0]?.length ?? 0;
+
+        // Set grid CSS
+        this.boardElement.style.gridTemplateColumns = `repeat(${width}, var(--tile-size))`;
+        this.boardElement.style.gridTemplateRows = `repeat(${height}, var(--tile-size))`;
+
+        // Create tiles, a row element per grid row (rows don't take part in the layout)
+        board.grid.forEach((row, y) => {
+            const elementRow = [];
+            const rowElement = document.createElement('div');
+            rowElement.className = 'board-row';
+            rowElement.setAttribute('role', 'row');
+
+            row.forEach((tile, x) => {
+                const element = tile ? this.createTileElement(tile, x, y) : null;
+                if (element) {
+                    this.attachTileEvents(element, x, y);
+                    rowElement.appendChild(element);
+                }
+                elementRow.push(element);
+            });
+
+            this.boardElement.appendChild(rowElement);
+            this.elements.push(elementRow);
+        });
+
+        // Keep a pending selection and the cursor visible
+        if (this.selectedTile) {
+            this.setSelected(this.selectedTile, true);
+        }
+        this.updateCursor();
+    }
+
+    /**
+     * Create the DOM element for a tile
+     * @param {Tile} tile - Tile to draw
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     * @returns {HTMLElement}
+     */
+    createTileElement(tile, x, y) {
+        const el = document.createElement('div');
+        el.className = this.getTileClasses(tile, x, y).join(' ');
+        el.dataset.x = x;
+        el.dataset.y = y;
+        el.id = `board-tile-${x}-${y}`;
+        el.setAttribute('role', 'gridcell');
+        el.setAttribute('aria-selected', 'false');
+        el.setAttribute('aria-label', this.describeTile(tile, x, y));
+
+        if (this.getCharacterAt(x, y) === -1) {
+            BoardRenderer.createOverlayElements({
+                ice: tile.iceLayer,
+                locked: tile.isLocked,
+                chains: tile.chainLayer,
+                // Spawners along the top are a given, only mark the ones further down
+                spawner: y > 0 && this.isSpawner(x, y)
+            }).forEach(overlay => el.appendChild(overlay));
+        }
+
+        // Cleared cells no spawner feeds stay open
+        if (tile.isEmpty() && this.board.spawners && GravitySystem.isDryCell(this.board.spawners, x, y)) {
+            el.classList.add('dry');
+        }
+
+        // Rising water covers everything in its rows, the character included
+        if (this.isFlooded(y)) {
+            el.classList.add('flooded');
+            const water = document.createElement('span');
+            water.className = 'tile-overlay overlay-water';
+            el.appendChild(water);
+        }
+
+        return el;
+    }
+
+    /**
+     * Create the layers drawn over a tile's color (shared with the level editor)
+     * @param {Object} overlays - { ice: layers, locked: boolean, chains: layers, spawner: boolean }
+     * @returns {HTMLElement[]}
+     */
+    static createOverlayElements({ ice = 0, locked = false, chains = 0, spawner = false }) {
+        const layer = (name, count) => {
+            const el = document.createElement('span');
+            el.className = `tile-overlay overlay-${name}` + (count ? ` layers-${count}` : '');
+            return el;
+        };
+        const layers = [];
+
+        if (ice > 0) layers.push(layer('ice', ice));
+        if (chains > 0) layers.push(layer('chain', chains));
+        if (locked) layers.push(layer('lock'));
+        if (spawner) layers.push(layer('spawner'));
+
+        return layers;
+    }
+
+    /**
+     * Build the class list for a tile based on its state
+     * @param {Tile} tile - Tile to draw
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     * @returns {string[]}
+     */
+    getTileClasses(tile, x, y) {
+        // Each character gets its own look
+        const character = this.getCharacterAt(x, y);
+        if (character !== -1) {
+            return ['tile', 'character', `character-${character}`];
+        }
+
+        const classes = ['tile', tile.type];
+
+        if (tile.isMatched) classes.push('matched');
+        if (tile.isFalling) classes.push('falling');
+        if (tile.isSpecial) classes.push('special', tile.specialType);
+        if (tile.isBreakable()) classes.push(`hits-${tile.hitPoints}`);
+        if (tile.iceLayer > 0) classes.push('ice');
+        if (tile.isLocked) classes.push('locked');
+        if (tile.isChained()) classes.push('chained');
+
+        return classes;
+    }
+
+    /**
+     * Describe a tile for screen readers
+     * @param {Tile} tile - Tile to describe
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     * @returns {string} e.g. "Row 3, column 2: red, bomb, ice"
+     */
+    describeTile(tile, x, y) {
+        const parts = this.getCharacterAt(x, y) !== -1
+            ? ['trapped person']
+            : [BoardRenderer.TILE_NAMES[tile.type] || tile.type];
+
+        if (tile.isSpecial) parts.push(BoardRenderer.SPECIAL_NAMES[tile.specialType] || tile.specialType);
+        if (tile.iceLayer > 0) parts.push('ice');
+        if (tile.isLocked) parts.push('locked');
+        if (tile.isChained()) parts.push('chained');
+        if (this.isFlooded(y)) parts.push('under water');
+
+        return `Row ${y + 1}, column ${x + 1}: ${parts.join(', ')}`;
+    }
+
+    /**
+     * Get the character standing on a cell of the drawn board
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     * @returns {number} Character index, or -1 if nobody is there
+     */
+    getCharacterAt(x, y) {
+        return GridManager.findCharacterAt(this.board?.characterPositions, x, y);
+    }
+
+    /**
+     * Check if a row is under the rising water
+     * @param {number} y - Grid y position
+     * @returns {boolean}
+     */
+    isFlooded(y) {
+        return y >= this.board.grid.length - (this.board.waterRows || 0);
+    }
+
+    /**
+     * Check if new tiles appear at a cell of the drawn board
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     * @returns {boolean}
+     */
+    isSpawner(x, y) {
+        return (this.board.spawners || []).some(spawner => spawner.x === x && spawner.y === y);
+    }
+
+    /**
+     * Get DOM element for a tile position
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {HTMLElement|null}
+     */
+    getTileElement(x, y) {
+        return this.elements[y]?.[x] || null;
+    }
+
+    /**
+     * Get the DOM elements for a list of grid positions
+     * @param {Object[]} positions - Array of {x, y}
+     * @returns {HTMLElement[]}
+     */
+    getTileElements(positions) {
+        return positions.map(pos => this.getTileElement(pos.x, pos.y)).filter(el => el);
+    }
+
+    /**
+     * Attach click/touch events to a tile
+     * @param {HTMLElement} element - Tile DOM element
+     * @param {number} x - Tile x position
+     * @param {number} y - Tile y position
+     */
+    attachTileEvents(element, x, y) {
+        const handleSelect = (e) => {
+            e.preventDefault();
+            this.handleTileSelect(x, y);
+        };
+
+        element.addEventListener('click', handleSelect);
+        element.addEventListener('touchend', handleSelect);
+    }
+
+    /**
+     * Check if a cell holds a tile the player may pick up
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     * @returns {boolean}
+     */
+    canSelect(x, y) {
+        const tile = this.board?.grid[y]?.[x];
+        return !!tile && this.getCharacterAt(x, y) === -1 && tile.canSwap();
+    }
+
+    /**
+     * Handle tile selection for swapping
+     * @param {number} x - Selected tile x
+     * @param {number} y - Selected tile y
+     */
+    handleTileSelect(x, y) {
+        // Can't select non-swappable tiles
+        if (!this.canSelect(x, y)) {
+            this.clearSelection();
+            return;
+        }
+
+        if (this.selectedTile === null) {
+            // First selection
+            this.selectedTile = { x, y };
+            this.setSelected(this.selectedTile, true);
+        } else {
+            // Second selection - check if adjacent
+            const { x: sx, y: sy } = this.selectedTile;
+
+            if (Math.abs(sx - x) + Math.abs(sy - y) === 1 && this.onSwap) {
+                this.onSwap(sx, sy, x, y);
+            }
+
+            this.clearSelection();
+        }
+    }
+
+    /**
+     * Clear current tile selection
+     */
+    clearSelection() {
+        if (this.selectedTile) {
+            this.setSelected(this.selectedTile, false);
+        }
+        this.selectedTile = null;
+    }
+
+    /**
+     * Mark a tile as picked up (or not)
+     * @param {Object} position - {x, y}
+     * @param {boolean} selected - Whether it's selected
+     */
+    setSelected({ x, y }, selected) {
+        const element = this.getTileElement(x, y);
+        element?.classList.toggle('selected', selected);
+        element?.setAttribute('aria-selected', String(selected));
+    }
+
+    /**
+     * Handle a key meant for the board: arrows move the cursor, Space/Enter
+     * select the tile under it, arrows with Shift swap it in that direction
+     * and Escape drops a selection
+     * @param {string} key - KeyboardEvent.key
+     * @param {boolean} withModifier - True when Shift is held
+     * @returns {boolean} True if the key did something on the board
+     */
+    handleKey(key, withModifier = false) {
+        if (!this.board) return false;
+
+        const direction = BoardRenderer.ARROW_KEYS[key];
+        const isSelectKey = key === ' ' || key === 'Enter';
+
+        if (direction || isSelectKey) {
+            // The first key press only shows where the cursor is
+            if (!this.cursor) {
+                this.cursor = this.selectedTile ? { ...this.selectedTile } : { x: 0, y: 0 };
+                this.updateCursor();
+            } else if (isSelectKey) {
+                this.handleTileSelect(this.cursor.x, this.cursor.y);
+            } else if (withModifier) {
+                this.swapFromCursor(direction);
+            } else {
+                this.moveCursor(this.cursor.x + direction.x, this.cursor.y + direction.y);
+            }
+            return true;
+        }
+
+        if (key === 'Escape' && this.selectedTile) {
+            this.clearSelection();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Move the keyboard cursor, staying on the board
+     * @param {number} x - Grid x position
+     * @param {number} y - Grid y position
+     */
+    moveCursor(x, y) {
+        this.getTileElement(this.cursor.x, this.cursor.y)?.classList.remove('cursor');
+        this.cursor = { x, y };
+        this.updateCursor();
+    }
+
+    /**
+     * Swap the tile under the cursor with its neighbor, the cursor following the tile
+     * @param {Object} direction - {x, y} from CONFIG.DIRECTIONS
+     */
+    swapFromCursor(direction) {
+        const { x, y } = this.cursor;
+        const target = { x: x + direction.x, y: y + direction.y };
+
+        this.clearSelection();
+        if (!this.canSelect(x, y) || !this.canSelect(target.x, target.y)) return;
+
+        this.moveCursor(target.x, target.y);
+        if (this.onSwap) {
+            this.onSwap(x, y, target.x, target.y);
+        }
+    }
+
+    /**
+     * Keep the cursor on the board, draw it on its tile and point assistive technology at it
+     */
+    updateCursor() {
+        if (!this.cursor) {
+            this.boardElement.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        // Off the edge, or past the edge of a new, smaller level
+        const height = this.board.grid.length;
+        const width = this.board.grid[0]?.length ?? 0;
+        this.cursor = {
+            x: Math.max(0, Math.min(width - 1, this.cursor.x)),
+            y: Math.max(0, Math.min(height - 1, this.cursor.y))
+        };
+
+        const element = this.getTileElement(this.cursor.x, this.cursor.y);
+        element?.classList.add('cursor');
+        if (element) {
+            this.boardElement.setAttribute('aria-activedescendant', element.id);
+        }
+    }
+}
+
+// Keys that move the cursor
+BoardRenderer.ARROW_KEYS = Object.freeze({
+    ArrowUp: CONFIG.DIRECTIONS.UP,
+    ArrowDown: CONFIG.DIRECTIONS.DOWN,
+    ArrowLeft: CONFIG.DIRECTIONS.LEFT,
+    ArrowRight: CONFIG.DIRECTIONS.RIGHT
+});
+
+// Spoken names for tile types whose type doesn't say it plainly
+BoardRenderer.TILE_NAMES = Object.freeze({
+    [CONFIG.TILE_TYPES.EMPTY]: 'empty',
+    [CONFIG.TILE_TYPES.CRACKABLE]: 'cracked stone',
+    [CONFIG.TILE_TYPES.EXIT]: 'exit'
+});
+
+// Spoken names for special tiles
+BoardRenderer.SPECIAL_NAMES = Object.freeze({
+    [CONFIG.SPECIAL_TILES.LINE_H]: 'row clear',
+    [CONFIG.SPECIAL_TILES.LINE_V]: 'column clear',
+    [CONFIG.SPECIAL_TILES.BOMB]: 'bomb',
+    [CONFIG.SPECIAL_TILES.COLOR_BOMB]: 'color bomb'
+});
@@ -7,6 +7,15 @@ class AnimationManager {
     constructor() {
         this.animations = new Map();
         this.animationId = 0;
+        this.speed = 1;
+    }
+
+    /**
+     * Set playback speed for all waits (Infinity skips them)
+     * @param {number} multiplier - 1 = normal, 2 = twice as fast
+     */
+    setSpeed(multiplier) {
+        this.speed = multiplier;
     }
 
     /**
@@ -15,7 +24,7 @@ class AnimationManager {
      * @returns {Promise}
      */
     wait(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => setTimeout(resolve, ms / this.speed));
     }
 
     /**
@@ -114,6 +123,60 @@ class AnimationManager {
         });
     }
 
+    /**
+     * Animate tiles being shuffled
+     * @param {HTMLElement[]} tiles - Tiles about to move
+     * @param {number} duration - Animation duration in ms
+     * @returns {Promise}
+     */
+    async animateShuffle(tiles, duration = CONFIG.ANIMATION.SHUFFLE) {
+        tiles.forEach(tile => {
+            if (tile) tile.classList.add('shuffling');
+        });
+
+        await this.wait(duration);
+
+        tiles.forEach(tile => {
+            if (tile) tile.classList.remove('shuffling');
+        });
+    }
+
+    /**
+     * Animate cells taking a hit without breaking (ice, chains, cracked blockers)
+     * @param {HTMLElement[]} tiles - Tiles that were hit
+     * @param {number} duration - Animation duration in ms
+     * @returns {Promise}
+     */
+    async animateDamage(tiles, duration = CONFIG.ANIMATION.DAMAGE) {
+        tiles.forEach(tile => {
+            if (tile) tile.classList.add('damaged');
+        });
+
+        await this.wait(duration);
+
+        tiles.forEach(tile => {
+            if (tile) tile.classList.remove('damaged');
+        });
+    }
+
+    /**
+     * Animate cells taken over by a hazard (rising water, spreading slime)
+     * @param {HTMLElement[]} tiles - Tile elements
+     * @param {number} duration - Animation duration in ms
+     * @returns {Promise}
+     */
+    async animateHazard(tiles, duration = CONFIG.ANIMATION.HAZARD) {
+        tiles.forEach(tile => {
+            if (tile) tile.classList.add('hazard');
+        });
+
+        await this.wait(duration);
+
+        tiles.forEach(tile => {
+            if (tile) tile.classList.remove('hazard');
+        });
+    }
+
     /**
      * Animate character moving up
      * @param {HTMLElement} characterEl - Character element
@@ -146,6 +209,11 @@ class AnimationManager {
      * @returns {Promise}
      */
     async animateSpecialActivation(type, affectedTiles) {
+        if (type === CONFIG.SPECIAL_TILES.COLOR_BOMB || type === CONFIG.SPECIAL_COMBOS.BOARD_CLEAR) {
+            await this.animateColorBomb(affectedTiles);
+            return;
+        }
+
         // Add flash effect to affected tiles
         affectedTiles.forEach(tile => {
             if (tile) {
@@ -159,6 +227,27 @@ class AnimationManager {
         await this.animateMatch(affectedTiles, 200);
     }
 
+    /**
+     * Animate a color bomb going off - a rainbow ripple across the tiles it hits
+     * @param {HTMLElement[]} affectedTiles - Tiles to animate
+     * @param {number} duration - Animation duration in ms
+     * @returns {Promise}
+     */
+    async animateColorBomb(affectedTiles, duration = CONFIG.ANIMATION.COLOR_BOMB) {
+        const stagger = affectedTiles.length > 1 ? (duration / 2) / (affectedTiles.length - 1) : 0;
+
+        affectedTiles.forEach((tile, index) => {
+            if (tile) {
+                tile.style.animationDelay = `${Math.round((index * stagger) / this.speed)}ms`;
+                tile.classList.add('color-blast');
+            }
+        });
+
+        await this.wait(duration);
+
+        await this.animateMatch(affectedTiles, 200);
+    }
+
     /**
      * Create particle effect at position
      * @param {number} x - X position
@@ -0,0 +1,659 @@
+/**
+ * Level Validator
+ * Checks level configurations against the level schema before they reach the grid
+ *
+ * Level schema:
+ *   id             integer >= 1, unique within a pack        (required)
+ *   name           non-empty string                         (required)
+ *   description    string
+ *   gridWidth      integer, CONFIG.GRID.MIN_SIZE..MAX_SIZE   (required)
+ *   gridHeight     integer, CONFIG.GRID.MIN_SIZE..MAX_SIZE   (required)
+ *   maxMoves       integer >= 1 (defaults to 20, or no limit on a timed level)
+ *   timeLimit      integer >= 1 - seconds to finish in (instead of or as well as maxMoves)
+ *   undoLimit      integer >= 0 - undos per attempt (defaults to CONFIG.UNDO.DEFAULT_LIMIT, 0 disables)
+ *   stars          array of 3 increasing integers >= 1 - the scores for one, two and three stars
+ *   characterStart {x, y} inside the grid                    (required, or characters)
+ *   characters     array of 1..CONFIG.CHARACTERS.MAX {x, y} - several trapped people
+ *                  (instead of characterStart)
+ *   exitPosition   {x, y} inside the grid, not on a start    (required, or exits)
+ *   exits          array of 1..CONFIG.CHARACTERS.MAX {x, y} - several exits (instead of exitPosition)
+ *   escapeQuota    integer, 1..number of characters - how many must escape to win (defaults to all)
+ *   objectives     array of 1..CONFIG.OBJECTIVES.MAX goals, all needed to win (defaults to escaping):
+ *                  { type: "escape" }, { type: "collect", color, count } (color one of the
+ *                  level's colors, count integer >= 1), { type: "ice" } (needs ice overlays),
+ *                  { type: "stones" } (needs crackable stones) or { type: "score", target }
+ *                  (target integer >= 1). One goal per type, one collect goal per color
+ *   blockers       array of { type, x, y, hits? }, inside the grid, one per cell, not on the
+ *                  start or exit. type is one of
+ *                  "stone" (never breaks), "crackable" (breaks after hits, default 3),
+ *                  "crate" (breaks on the first hit), "slime" (breaks on the first hit,
+ *                  spreads if the level has a slime hazard) or "chain" (holds a colored
+ *                  tile in place, it still matches; hits chains, default 1). hits is an
+ *                  integer 1..CONFIG.BLOCKERS.MAX_HITS, for crackable stones and chains only
+ *   overlays       array of { type: "ice", x, y, layers?: 1..CONFIG.BLOCKERS.MAX_ICE_LAYERS }
+ *                  or { type: "locked", x, y } - covers the colored tile at that cell; not on
+ *                  the start, exit or a blocker, one per cell
+ *   hazards        array of { type: "water", every?, rows? } or { type: "slime", every? }, one
+ *                  of each type. every: integer >= 1, moves between growths (defaults to
+ *                  CONFIG.HAZARDS.DEFAULT_EVERY). rows: rows flooded at the start, below
+ *                  every character. A slime hazard needs at least one slime blocker
+ *   spawners       array of {x, y} inside the grid, one per cell, not on a start, exit,
+ *                  blocker or overlay - the only cells new tiles appear at (defaults to
+ *                  the top cell of every column)
+ *   noSpawnColumns array of distinct column indexes whose top cell never spawns
+ *                  (instead of spawners)
+ *   tileTypes      array of at least 3 distinct colors from CONFIG.MATCHABLE_COLORS
+ *   seed           integer >= 0 - fixes the random board and refills
+ *   initialLayout  array of gridHeight strings, gridWidth characters each: a CONFIG.TILE_CODES
+ *                  letter fixes that cell's color, "." leaves it random (ignored on blocker,
+ *                  start and exit cells - chained cells do take it)
+ *
+ * Every problem is reported as { levelId, path, message } where path is the
+ * JSON path of the offending value, e.g. "levels[2].blockers[3].x".
+ */
+
+class LevelValidationError extends Error {
+    /**
+     * Create a validation error
+     * @param {Object[]} errors - Array of { levelId, path, message }
+     */
+    constructor(errors) {
+        const shown = errors.slice(0, 5).map(error => LevelValidator.formatError(error));
+        const more = errors.length > shown.length ? `\n...and ${errors.length - shown.length} more` : '';
+        super(`Invalid level data:\n${shown.join('\n')}${more}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+class LevelValidator {
+    constructor() {
+        this.knownProperties = [
+            'id', 'name', 'description', 'gridWidth', 'gridHeight', 'maxMoves', 'timeLimit', 'undoLimit', 'stars',
+            'characterStart', 'characters', 'exitPosition', 'exits', 'escapeQuota', 'objectives', 'blockers', 'overlays', 'hazards', 'spawners',
+            'noSpawnColumns', 'tileTypes', 'seed', 'initialLayout'
+        ];
+        this.blockerTypes = [
+            CONFIG.TILE_TYPES.STONE, CONFIG.TILE_TYPES.CRACKABLE, CONFIG.TILE_TYPES.CRATE, CONFIG.TILE_TYPES.SLIME,
+            CONFIG.TILE_TYPES.CHAIN
+        ];
+        this.multiHitTypes = [CONFIG.TILE_TYPES.CRACKABLE, CONFIG.TILE_TYPES.CHAIN];
+        this.overlayTypes = [CONFIG.TILE_TYPES.ICE, CONFIG.TILE_TYPES.LOCKED];
+        this.hazardTypes = ['water', 'slime'];
+        this.objectiveTypes = ['escape', 'collect', 'ice', 'stones', 'score'];
+    }
+
+    /**
+     * Validate a whole level pack
+     * @param {Object|Object[]} data - { levels: [] } or a bare array of levels
+     * @returns {Object[]} Array of { levelId, path, message } (empty when valid)
+     */
+    validatePack(data) {
+        const errors = [];
+        const levels = Array.isArray(data) ? data : data?.levels;
+        const root = Array.isArray(data) ? '' : 'levels';
+
+        if (!Array.isArray(levels) || levels.length === 0) {
+            errors.push({ levelId: null, path: root || '(root)', message: 'must be a non-empty array of levels' });
+            return errors;
+        }
+
+        const seenIds = new Map();
+
+        levels.forEach((level, index) => {
+            const path = `${root}[${index}]`;
+            this.validateLevel(level, path, errors);
+
+            if (level && Number.isInteger(level.id)) {
+                if (seenIds.has(level.id)) {
+                    errors.push({
+                        levelId: level.id,
+                        path: `${path}.id`,
+                        message: `duplicate id (also used by ${seenIds.get(level.id)})`
+                    });
+                } else {
+                    seenIds.set(level.id, path);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a single level
+     * @param {Object} level - Level configuration
+     * @param {string} path - JSON path of the level (for error reporting)
+     * @param {Object[]} errors - Array to collect errors into
+     * @returns {Object[]} The errors array
+     */
+    validateLevel(level, path = 'level', errors = []) {
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            errors.push({ levelId: null, path, message: 'must be an object' });
+            return errors;
+        }
+
+        const report = (subPath, message) => {
+            errors.push({ levelId: level.id ?? null, path: `${path}.${subPath}`, message });
+        };
+
+        Object.keys(level).forEach(key => {
+            if (!this.knownProperties.includes(key)) {
+                report(key, 'unknown property');
+            }
+        });
+
+        this.checkInteger(level.id, 'id', report, { min: 1 });
+        if (typeof level.name !== 'string' || level.name.trim() === '') {
+            report('name', 'must be a non-empty string');
+        }
+        if (level.description !== undefined && typeof level.description !== 'string') {
+            report('description', 'must be a string');
+        }
+
+        const widthOk = this.checkInteger(level.gridWidth, 'gridWidth', report, {
+            min: CONFIG.GRID.MIN_SIZE, max: CONFIG.GRID.MAX_SIZE
+        });
+        const heightOk = this.checkInteger(level.gridHeight, 'gridHeight', report, {
+            min: CONFIG.GRID.MIN_SIZE, max: CONFIG.GRID.MAX_SIZE
+        });
+        this.checkInteger(level.maxMoves, 'maxMoves', report, { min: 1, optional: true });
+        this.checkInteger(level.timeLimit, 'timeLimit', report, { min: 1, optional: true });
+        this.checkInteger(level.undoLimit, 'undoLimit', report, { min: 0, optional: true });
+        this.validateStars(level.stars, report);
+
+        // Position checks need a valid grid size
+        const bounds = widthOk && heightOk ? { width: level.gridWidth, height: level.gridHeight } : null;
+        const occupied = new Map();
+
+        const starts = this.validatePlacements(level, 'characterStart', 'characters', report, bounds, occupied);
+        this.validatePlacements(level, 'exitPosition', 'exits', report, bounds, occupied);
+        this.checkInteger(level.escapeQuota, 'escapeQuota', report, {
+            min: 1, max: Math.max(1, starts.length), optional: true
+        });
+
+        this.validateBlockers(level.blockers, report, bounds, occupied);
+        this.validateOverlays(level.overlays, report, bounds, occupied);
+        this.validateObjectives(level, report);
+        this.validateHazards(level, report, bounds, starts);
+        this.validateSpawners(level, report, bounds, occupied);
+        this.validateTileTypes(level.tileTypes, report);
+        this.checkInteger(level.seed, 'seed', report, { min: 0, max: 0xFFFFFFFF, optional: true });
+        this.validateLayout(level.initialLayout, report, bounds, level.tileTypes);
+
+        return errors;
+    }
+
+    /**
+     * Validate the star thresholds
+     * @param {number[]} stars - Scores for one, two and three stars
+     * @param {Function} report - Error reporter (subPath, message)
+     */
+    validateStars(stars, report) {
+        if (stars === undefined) return;
+
+        if (!Array.isArray(stars) || stars.length !== 3) {
+            report('stars', 'must be an array of 3 scores');
+            return;
+        }
+
+        stars.forEach((score, index) => {
+            const path = `stars[${index}]`;
+            const min = index > 0 && Number.isInteger(stars[index - 1]) ? stars[index - 1] + 1 : 1;
+
+            this.checkInteger(score, path, report, { min });
+        });
+    }
+
+    /**
+     * Validate where the characters start or where the exits are - either a
+     * single position (characterStart, exitPosition) or a list (characters, exits)
+     * @param {Object} level - Level configuration
+     * @param {string} single - Property for one position
+     * @param {string} list - Property for a list of positions
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null if unknown
+     * @param {Map} occupied - Position key -> path of whatever already sits there
+     * @returns {Object[]} The valid positions
+     */
+    validatePlacements(level, single, list, report, bounds, occupied) {
+        let entries;
+
+        if (level[list] === undefined) {
+            entries = [[single, level[single]]];
+        } else if (level[single] !== undefined) {
+            report(list, `use either ${single} or ${list}, not both`);
+            return [];
+        } else if (!Array.isArray(level[list]) || level[list].length === 0 || level[list].length > CONFIG.CHARACTERS.MAX) {
+            report(list, `must be an array of 1 to ${CONFIG.CHARACTERS.MAX} positions`);
+            return [];
+        } else {
+            entries = level[list].map((pos, index) => [`${list}[${index}]`, pos]);
+        }
+
+        const positions = [];
+
+        entries.forEach(([path, pos]) => {
+            if (!this.checkPosition(pos, path, report, bounds)) return;
+
+            const key = this.positionKey(pos);
+            if (occupied.has(key)) {
+                report(path, `overlaps ${occupied.get(key)}`);
+            } else {
+                occupied.set(key, path);
+                positions.push(pos);
+            }
+        });
+
+        return positions;
+    }
+
+    /**
+     * Validate a fixed initial layout
+     * @param {string[]} layout - Rows of tile codes
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null if unknown
+     * @param {string[]} tileTypes - Colors used by the level
+     */
+    validateLayout(layout, report, bounds, tileTypes = CONFIG.MATCHABLE_COLORS) {
+        if (layout === undefined) return;
+
+        if (!Array.isArray(layout)) {
+            report('initialLayout', 'must be an array of strings');
+            return;
+        }
+
+        if (bounds && layout.length !== bounds.height) {
+            report('initialLayout', `must have ${bounds.height} rows (got ${layout.length})`);
+        }
+
+        layout.forEach((row, y) => {
+            const path = `initialLayout[${y}]`;
+
+            if (typeof row !== 'string') {
+                report(path, 'must be a string');
+                return;
+            }
+
+            if (bounds && row.length !== bounds.width) {
+                report(path, `must have ${bounds.width} characters (got ${row.length})`);
+            }
+
+            [...row].forEach((code, x) => {
+                if (code === '.') return;
+
+                const color = CONFIG.TILE_CODES[code];
+                if (!color) {
+                    report(`${path}[${x}]`, `unknown tile code "${code}" (expected ${Object.keys(CONFIG.TILE_CODES).join(', ')} or .)`);
+                } else if (Array.isArray(tileTypes) && !tileTypes.includes(color)) {
+                    report(`${path}[${x}]`, `"${code}" is ${color}, which is not in tileTypes`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate the blockers array
+     * @param {Object[]} blockers - Blocker list
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null if unknown
+     * @param {Map} occupied - Position key -> path of whatever already sits there
+     */
+    validateBlockers(blockers, report, bounds, occupied) {
+        if (blockers === undefined) return;
+
+        if (!Array.isArray(blockers)) {
+            report('blockers', 'must be an array');
+            return;
+        }
+
+        blockers.forEach((blocker, index) => {
+            const path = `blockers[${index}]`;
+
+            if (!blocker || typeof blocker !== 'object') {
+                report(path, 'must be an object');
+                return;
+            }
+
+            if (!this.blockerTypes.includes(blocker.type)) {
+                report(`${path}.type`, `unknown blocker type "${blocker.type}" (expected ${this.blockerTypes.join(', ')})`);
+            }
+            if (blocker.hits !== undefined && !this.multiHitTypes.includes(blocker.type)) {
+                report(`${path}.hits`, `only ${this.multiHitTypes.join(' and ')} blockers take hits`);
+            } else {
+                this.checkInteger(blocker.hits, `${path}.hits`, report, { min: 1, max: CONFIG.BLOCKERS.MAX_HITS, optional: true });
+            }
+            // Ice and locks used to be blocker flags - they are overlays on colored cells now
+            if (blocker.iceLayer !== undefined) {
+                report(`${path}.iceLayer`, 'ice goes in overlays: { "type": "ice", "x", "y", "layers" }');
+            }
+            if (blocker.locked !== undefined) {
+                report(`${path}.locked`, 'locks go in overlays: { "type": "locked", "x", "y" }');
+            }
+
+            if (this.checkPosition(blocker, path, report, bounds)) {
+                const key = this.positionKey(blocker);
+                if (occupied.has(key)) {
+                    report(path, `overlaps ${occupied.get(key)}`);
+                } else {
+                    occupied.set(key, path);
+                }
+            }
+        });
+    }
+
+    /**
+     * Validate the overlays array
+     * @param {Object[]} overlays - Overlay list
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null if unknown
+     * @param {Map} occupied - Position key -> path of whatever already sits there
+     */
+    validateOverlays(overlays, report, bounds, occupied) {
+        if (overlays === undefined) return;
+
+        if (!Array.isArray(overlays)) {
+            report('overlays', 'must be an array');
+            return;
+        }
+
+        overlays.forEach((overlay, index) => {
+            const path = `overlays[${index}]`;
+
+            if (!overlay || typeof overlay !== 'object') {
+                report(path, 'must be an object');
+                return;
+            }
+
+            if (!this.overlayTypes.includes(overlay.type)) {
+                report(`${path}.type`, `unknown overlay type "${overlay.type}" (expected ${this.overlayTypes.join(', ')})`);
+            }
+            if (overlay.layers !== undefined && overlay.type !== CONFIG.TILE_TYPES.ICE) {
+                report(`${path}.layers`, 'only ice has layers');
+            } else {
+                this.checkInteger(overlay.layers, `${path}.layers`, report, {
+                    min: 1, max: CONFIG.BLOCKERS.MAX_ICE_LAYERS, optional: true
+                });
+            }
+
+            if (this.checkPosition(overlay, path, report, bounds)) {
+                const key = this.positionKey(overlay);
+                if (occupied.has(key)) {
+                    report(path, `overlaps ${occupied.get(key)}`);
+                } else {
+                    occupied.set(key, path);
+                }
+            }
+        });
+    }
+
+    /**
+     * Validate the hazards array
+     * @param {Object} level - Level configuration (hazards are checked against its blockers)
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null if unknown
+     * @param {Object[]} starts - Valid character starting positions
+     */
+    validateHazards(level, report, bounds, starts) {
+        const hazards = level.hazards;
+        if (hazards === undefined) return;
+
+        if (!Array.isArray(hazards)) {
+            report('hazards', 'must be an array');
+            return;
+        }
+
+        const seen = new Set();
+
+        hazards.forEach((hazard, index) => {
+            const path = `hazards[${index}]`;
+
+            if (!hazard || typeof hazard !== 'object') {
+                report(path, 'must be an object');
+                return;
+            }
+
+            if (!this.hazardTypes.includes(hazard.type)) {
+                report(`${path}.type`, `unknown hazard type "${hazard.type}" (expected ${this.hazardTypes.join(', ')})`);
+            } else if (seen.has(hazard.type)) {
+                report(`${path}.type`, `duplicate ${hazard.type} hazard`);
+            }
+            seen.add(hazard.type);
+
+            this.checkInteger(hazard.every, `${path}.every`, report, { min: 1, optional: true });
+
+            if (hazard.rows !== undefined && hazard.type !== 'water') {
+                report(`${path}.rows`, 'only water has rows');
+            } else if (this.checkInteger(hazard.rows, `${path}.rows`, report, {
+                min: 0, max: bounds ? bounds.height - 1 : Infinity, optional: true
+            }) && bounds && hazard.rows > 0) {
+                // The water has to start below every character
+                if (starts.some(start => start.y >= bounds.height - hazard.rows)) {
+                    report(`${path}.rows`, 'floods the character at the start');
+                }
+            }
+
+            if (hazard.type === 'slime' && !(level.blockers || []).some(blocker => blocker?.type === CONFIG.TILE_TYPES.SLIME)) {
+                report(path, 'needs at least one slime blocker to spread from');
+            }
+        });
+    }
+
+    /**
+     * Validate the objectives array
+     * @param {Object} level - Level configuration (goals are checked against its colors, overlays and blockers)
+     * @param {Function} report - Error reporter (subPath, message)
+     */
+    validateObjectives(level, report) {
+        const objectives = level.objectives;
+        if (objectives === undefined) return;
+
+        if (!Array.isArray(objectives) || objectives.length === 0 || objectives.length > CONFIG.OBJECTIVES.MAX) {
+            report('objectives', `must be an array of 1 to ${CONFIG.OBJECTIVES.MAX} goals`);
+            return;
+        }
+
+        const colors = Array.isArray(level.tileTypes) ? level.tileTypes : CONFIG.MATCHABLE_COLORS;
+        const has = (list, type) => Array.isArray(list) && list.some(item => item?.type === type);
+        const seen = new Set();
+
+        objectives.forEach((goal, index) => {
+            const path = `objectives[${index}]`;
+
+            if (!goal || typeof goal !== 'object') {
+                report(path, 'must be an object');
+                return;
+            }
+
+            if (!this.objectiveTypes.includes(goal.type)) {
+                report(`${path}.type`, `unknown objective type "${goal.type}" (expected ${this.objectiveTypes.join(', ')})`);
+                return;
+            }
+
+            // Collect goals are told apart by color
+            const key = goal.type === 'collect' ? `collect ${goal.color}` : goal.type;
+            if (seen.has(key)) {
+                report(`${path}.type`, `duplicate ${key} objective`);
+            }
+            seen.add(key);
+
+            if (goal.type === 'collect') {
+                if (!colors.includes(goal.color)) {
+                    report(`${path}.color`, `must be one of the level's colors (${colors.join(', ')})`);
+                }
+                this.checkInteger(goal.count, `${path}.count`, report, { min: 1 });
+            } else if (goal.type === 'score') {
+                this.checkInteger(goal.target, `${path}.target`, report, { min: 1 });
+            } else if (goal.type === 'ice' && !has(level.overlays, CONFIG.TILE_TYPES.ICE)) {
+                report(path, 'needs at least one ice overlay to break');
+            } else if (goal.type === 'stones' && !has(level.blockers, CONFIG.TILE_TYPES.CRACKABLE)) {
+                report(path, 'needs at least one crackable stone to break');
+            }
+        });
+    }
+
+    /**
+     * Validate where new tiles come from - spawner cells or columns left out
+     * @param {Object} level - Level configuration
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null if unknown
+     * @param {Map} occupied - Position key -> path of whatever already sits there
+     */
+    validateSpawners(level, report, bounds, occupied) {
+        const { spawners, noSpawnColumns } = level;
+
+        if (spawners !== undefined && noSpawnColumns !== undefined) {
+            report('noSpawnColumns', 'use either spawners or noSpawnColumns, not both');
+            return;
+        }
+
+        if (noSpawnColumns !== undefined) {
+            if (!Array.isArray(noSpawnColumns)) {
+                report('noSpawnColumns', 'must be an array');
+                return;
+            }
+
+            noSpawnColumns.forEach((column, index) => {
+                const path = `noSpawnColumns[${index}]`;
+                const max = bounds ? bounds.width - 1 : Infinity;
+
+                if (this.checkInteger(column, path, report, { min: 0, max }) && noSpawnColumns.indexOf(column) !== index) {
+                    report(path, `duplicate column ${column}`);
+                }
+            });
+            return;
+        }
+
+        if (spawners === undefined) return;
+
+        if (!Array.isArray(spawners)) {
+            report('spawners', 'must be an array');
+            return;
+        }
+
+        const seen = new Map();
+
+        spawners.forEach((spawner, index) => {
+            const path = `spawners[${index}]`;
+            if (!this.checkPosition(spawner, path, report, bounds)) return;
+
+            // New tiles need a free cell to appear on
+            const key = this.positionKey(spawner);
+            if (occupied.has(key)) {
+                report(path, `overlaps ${occupied.get(key)}`);
+            } else if (seen.has(key)) {
+                report(path, `overlaps ${seen.get(key)}`);
+            } else {
+                seen.set(key, path);
+            }
+        });
+    }
+
+    /**
+     * Validate the tileTypes array
+     * @param {string[]} tileTypes - Colors used by the level
+     * @param {Function} report - Error reporter (subPath, message)
+     */
+    validateTileTypes(tileTypes, report) {
+        if (tileTypes === undefined) return;
+
+        if (!Array.isArray(tileTypes)) {
+            report('tileTypes', 'must be an array');
+            return;
+        }
+
+        tileTypes.forEach((color, index) => {
+            if (!CONFIG.MATCHABLE_COLORS.includes(color)) {
+                report(`tileTypes[${index}]`, `unknown color "${color}" (expected one of ${CONFIG.MATCHABLE_COLORS.join(', ')})`);
+            } else if (tileTypes.indexOf(color) !== index) {
+                report(`tileTypes[${index}]`, `duplicate color "${color}"`);
+            }
+        });
+
+        if (new Set(tileTypes).size < 3) {
+            report('tileTypes', 'needs at least 3 different colors');
+        }
+    }
+
+    /**
+     * Check an integer property
+     * @param {*} value - Value to check
+     * @param {string} path - Property path
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object} options - { min, max, optional }
+     * @returns {boolean} True if valid
+     */
+    checkInteger(value, path, report, { min = -Infinity, max = Infinity, optional = false } = {}) {
+        if (value === undefined) {
+            if (!optional) report(path, 'is required');
+            return optional;
+        }
+
+        if (!Number.isInteger(value)) {
+            report(path, 'must be an integer');
+            return false;
+        }
+
+        if (value < min || value > max) {
+            const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+            report(path, `must be ${range} (got ${value})`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check an {x, y} position lies inside the grid
+     * @param {Object} pos - Position object
+     * @param {string} path - Property path
+     * @param {Function} report - Error reporter (subPath, message)
+     * @param {Object|null} bounds - { width, height } or null to skip the bounds check
+     * @returns {boolean} True if valid
+     */
+    checkPosition(pos, path, report, bounds) {
+        if (!pos || typeof pos !== 'object') {
+            report(path, 'must be an {x, y} position');
+            return false;
+        }
+
+        const xOk = this.checkInteger(pos.x, `${path}.x`, report, { min: 0, max: bounds ? bounds.width - 1 : Infinity });
+        const yOk = this.checkInteger(pos.y, `${path}.y`, report, { min: 0, max: bounds ? bounds.height - 1 : Infinity });
+
+        return xOk && yOk && bounds !== null;
+    }
+
+    /**
+     * Build a lookup key for a position
+     * @param {Object} pos - {x, y}
+     * @returns {string}
+     */
+    positionKey(pos) {
+        return `${pos.x},${pos.y}`;
+    }
+
+    /**
+     * Throw if a pack has any problems
+     * @param {Object|Object[]} data - { levels: [] } or a bare array of levels
+     * @throws {LevelValidationError}
+     */
+    assertValidPack(data) {
+        const errors = this.validatePack(data);
+        if (errors.length > 0) {
+            throw new LevelValidationError(errors);
+        }
+    }
+
+    /**
+     * Format an error as a readable line
+     * @param {Object} error - { levelId, path, message }
+     * @returns {string}
+     */
+    static formatError({ levelId, path, message }) {
+        const level = levelId !== null && levelId !== undefined ? `Level ${levelId}` : 'Level ?';
+        return `${level} - ${path}: ${message}`;
+    }
+}
+
+// Create global instance
+const levelValidator = new LevelValidator();
@@ -0,0 +1,71 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG (mulberry32) so a board can be replayed from its seed
+ */
+
+class SeededRandom {
+    /**
+     * Create a generator
+     * @param {number} seed - 32-bit unsigned integer seed
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} array - Non-empty array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Get the internal state (to restore later)
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a state from getState()
+     * @param {number} state - Saved state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Make a fresh seed when the level doesn't pin one
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000000);
+    }
+}
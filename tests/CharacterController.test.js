@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createBoard, toFixture, plain } = require('./helpers/fixtures');
+
+describe('CharacterController.moveTowardExit', () => {
+    it('climbs through empty cells and stops under a tile', () => {
+        const { grid, character } = createBoard('RE/.R/.R/.R/@R');
+
+        const path = plain(character.moveTowardExit());
+
+        assert.deepStrictEqual(path, [{ x: 0, y: 3 }, { x: 0, y: 2 }, { x: 0, y: 1 }]);
+        assert.strictEqual(toFixture(grid), 'RE/@R/.R/.R/.R');
+        assert.strictEqual(character.hasEscaped(), false);
+    });
+
+    it('stays put when no empty cell is closer to the exit', () => {
+        assert.deepStrictEqual(plain(createBoard('E/R/@').character.moveTowardExit()), []);
+        assert.deepStrictEqual(plain(createBoard('E/#/@').character.moveTowardExit()), []);
+        assert.deepStrictEqual(plain(createBoard('E../RRR/@..').character.moveTowardExit()), []);
+    });
+
+    it('never walks down', () => {
+        const { character } = createBoard('@RR/.RR/..E');
+
+        assert.deepStrictEqual(plain(character.moveTowardExit()), []);
+    });
+
+    it('escapes when it reaches the exit', () => {
+        const { character } = createBoard('E/./@');
+
+        const path = plain(character.moveTowardExit());
+
+        assert.deepStrictEqual(path, [{ x: 0, y: 1 }, { x: 0, y: 0 }]);
+        assert.strictEqual(character.hasEscaped(), true);
+        assert.strictEqual(character.getCharacter().hasEscaped, true);
+    });
+
+    it('walks sideways to an exit in another column', () => {
+        const { character } = createBoard('RRE/.../@RR');
+
+        const path = plain(character.moveTowardExit());
+
+        assert.deepStrictEqual(path, [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 0 }]);
+        assert.strictEqual(character.hasEscaped(), true);
+    });
+
+    it('goes around a stone above the start', () => {
+        const { character } = createBoard('RER/.#R/.@R');
+
+        const path = plain(character.moveTowardExit());
+
+        assert.deepStrictEqual(path, [{ x: 0, y: 2 }, { x: 0, y: 1 }]);
+        assert.strictEqual(character.hasEscaped(), false);
+    });
+
+    it('leaves the cells it passed through empty', () => {
+        const { grid, character } = createBoard('E/./@');
+
+        character.moveTowardExit();
+
+        assert.strictEqual(grid.isEmpty(0, 1), true);
+        assert.strictEqual(grid.isEmpty(0, 2), true);
+        assert.strictEqual(grid.getTile(0, 0).isExit(), true);
+    });
+});
+
+describe('CharacterController with several characters', () => {
+    it('does not walk through another character', () => {
+        const { character } = createBoard('E/./@/@');
+
+        assert.deepStrictEqual(plain(character.moveTowardExit(character.getCharacter(1))), []);
+        assert.deepStrictEqual(plain(character.moveTowardExit(character.getCharacter(0))), [{ x: 0, y: 1 }, { x: 0, y: 0 }]);
+        assert.deepStrictEqual(plain(character.moveTowardExit(character.getCharacter(1))), [
+            { x: 0, y: 2 }, { x: 0, y: 1 }, { x: 0, y: 0 }
+        ]);
+        assert.strictEqual(character.hasEscaped(), true);
+    });
+
+    it('takes an escaped character off the board', () => {
+        const { grid, character } = createBoard('E/./@/@');
+
+        character.moveTowardExit(character.getCharacter(0));
+
+        assert.strictEqual(toFixture(grid), 'E/././@');
+        assert.strictEqual(grid.isCharacterAt(0, 0), false);
+        assert.strictEqual(character.getEscapedCount(), 1);
+        assert.strictEqual(character.hasEscaped(), false);
+    });
+
+    it('heads for the nearest exit', () => {
+        const { character } = createBoard('ERRE/..../R@RR');
+
+        assert.deepStrictEqual(plain(character.moveTowardExit()), [{ x: 1, y: 1 }, { x: 0, y: 1 }, { x: 0, y: 0 }]);
+        assert.strictEqual(character.hasEscaped(), true);
+    });
+
+    it('wins once the escape quota is met', () => {
+        const { character } = createBoard('E./../@@', { escapeQuota: 1 });
+
+        character.moveTowardExit(character.getCharacter(0));
+
+        assert.strictEqual(character.hasEscaped(), true);
+        assert.deepStrictEqual(character.getTrappedCharacters().map(c => c.id), [1]);
+    });
+});
+
+describe('CharacterController.getPathToExit', () => {
+    it('routes around stones through tiles that still need clearing', () => {
+        const { character } = createBoard('RRE/R##/R@R');
+
+        assert.deepStrictEqual(plain(character.getPathToExit()), [
+            { x: 0, y: 2 }, { x: 0, y: 1 }, { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }
+        ]);
+    });
+
+    it('is empty when stones wall off the exit', () => {
+        const { character } = createBoard('RER/###/R@R');
+
+        assert.deepStrictEqual(plain(character.getPathToExit()), []);
+    });
+});
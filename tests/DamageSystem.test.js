@@ -0,0 +1,167 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, GameEngine, createBoard, createLevel, tileAt, sortPositions } = require('./helpers/fixtures');
+
+describe('DamageSystem breakable blockers', () => {
+    it('breaks a crate next to a match', () => {
+        const { grid, resolver } = createBoard('RRRB/GXYG');
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,1').hitPoints, 0);
+        assert.deepStrictEqual(sortPositions(result.clearedPositions), [
+            { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 1 }
+        ]);
+    });
+
+    it('cracks a stone once per pass however many matched tiles touch it', () => {
+        const { grid, resolver } = createBoard('RGB/R%B/RGB');
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,1').hitPoints, CONFIG.BLOCKERS.DEFAULT_HITS.crackable - 1);
+        assert.deepStrictEqual(sortPositions(result.damagedPositions), [{ x: 1, y: 1 }]);
+        assert.strictEqual(result.clearedPositions.some(pos => pos.x === 1 && pos.y === 1), false);
+    });
+
+    it('clears a crackable stone on its last hit', () => {
+        const { resolver } = createBoard('RRR/B%G', { hits: { '1,1': 1 } });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(result.clearedPositions.some(pos => pos.x === 1 && pos.y === 1), true);
+    });
+
+    it('lets blasts hit breakable blockers but never plain stones', () => {
+        const { resolver } = createBoard('RRRB/GBYG/Y%GB/G#BY/BXYG', {
+            specials: { '1,0': CONFIG.SPECIAL_TILES.LINE_V },
+            hits: { '1,2': 2 }
+        });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+        const cleared = sortPositions(result.clearedPositions);
+
+        assert.strictEqual(cleared.some(pos => pos.x === 1 && pos.y === 3), false);
+        assert.strictEqual(cleared.some(pos => pos.x === 1 && pos.y === 4), true);
+        assert.deepStrictEqual(sortPositions(result.damagedPositions), [{ x: 1, y: 2 }]);
+    });
+
+    it('lets the character route through breakable blockers', () => {
+        assert.strictEqual(createBoard('E/X/@').character.getPathToExit().length, 2);
+        assert.strictEqual(createBoard('E/%/@').character.getPathToExit().length, 2);
+        assert.strictEqual(createBoard('E/#/@').character.getPathToExit().length, 0);
+    });
+});
+
+describe('DamageSystem chains', () => {
+    it('lets a chained tile match but keeps it until the chain breaks', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG', { chains: { '1,0': 1 } });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,0').type, 'red');
+        assert.strictEqual(tileAt(grid, '1,0').isChained(), false);
+        assert.deepStrictEqual(sortPositions(result.clearedPositions), [{ x: 0, y: 0 }, { x: 2, y: 0 }]);
+        assert.deepStrictEqual(sortPositions(result.damagedPositions), [{ x: 1, y: 0 }]);
+    });
+
+    it('holds the tile in place: no swapping, no falling', () => {
+        const { grid, gravity } = createBoard('R/./B', { chains: { '0,0': 2 } });
+
+        gravity.applyGravityFully();
+
+        assert.strictEqual(tileAt(grid, '0,0').canSwap(), false);
+        assert.strictEqual(tileAt(grid, '0,0').type, 'red');
+        assert.strictEqual(grid.isEmpty(0, 1), true);
+    });
+
+    it('moves a special off a cell whose chained tile stayed', () => {
+        const { resolver } = createBoard('RRRRB/GBYGY', { chains: { '1,0': 1 } });
+
+        const result = resolver.processMatches(resolver.findAllMatches(), [{ x: 1, y: 0 }]);
+
+        assert.strictEqual(result.specialTiles.length, 1);
+        assert.deepStrictEqual(sortPositions([result.specialTiles[0].position]), [{ x: 0, y: 0 }]);
+    });
+});
+
+describe('DamageSystem ice and locks', () => {
+    it('cracks ice next to a blast but leaves the tile', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG/YGBY', {
+            specials: { '0,0': CONFIG.SPECIAL_TILES.LINE_H },
+            ice: { '3,1': 2 }
+        });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '3,1').iceLayer, 1);
+        assert.strictEqual(result.clearedPositions.some(pos => pos.x === 3 && pos.y === 1), false);
+        assert.strictEqual(result.damagedPositions.some(pos => pos.x === 3 && pos.y === 1), true);
+    });
+
+    it('leaves ice next to a plain match alone', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG', { ice: { '1,1': 1 } });
+
+        resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,1').iceLayer, 1);
+    });
+
+    it('releases a locked tile caught in a blast instead of clearing it', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG/YGBY', {
+            specials: { '0,0': CONFIG.SPECIAL_TILES.LINE_V },
+            locked: ['0,2']
+        });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '0,2').isLocked, false);
+        assert.strictEqual(result.clearedPositions.some(pos => pos.x === 0 && pos.y === 2), false);
+    });
+
+    it('holds iced and locked tiles in place', () => {
+        const { grid, gravity } = createBoard('RG/../BY', { ice: { '0,0': 1 }, locked: ['1,0'] });
+
+        gravity.applyGravityFully();
+
+        assert.strictEqual(tileAt(grid, '0,0').canSwap(), false);
+        assert.strictEqual(tileAt(grid, '1,0').canSwap(), false);
+        assert.strictEqual(grid.isEmpty(0, 1), true);
+        assert.strictEqual(grid.isEmpty(1, 1), true);
+    });
+});
+
+describe('DamageSystem level blockers', () => {
+    it('builds crackable stones, crates and chains from the level', () => {
+        const level = createLevel('GYBE/R@YB/RBGY/GRRB');
+        level.blockers.push(
+            { type: 'crackable', x: 2, y: 1, hits: 2 },
+            { type: 'crate', x: 3, y: 1 },
+            { type: 'chain', x: 0, y: 1, hits: 2 }
+        );
+
+        const grid = new GameEngine(level, 1).gridManager;
+
+        assert.strictEqual(grid.getTile(2, 1).hitPoints, 2);
+        assert.strictEqual(grid.getTile(3, 1).hitPoints, 1);
+        assert.strictEqual(grid.getTile(0, 1).type, 'red');
+        assert.strictEqual(grid.getTile(0, 1).chainLayer, 2);
+    });
+
+    it('puts ice and locks from the level on colored tiles', () => {
+        const level = createLevel('GYBE/R@YB/RBGY/GRRB', {
+            overlays: [
+                { type: 'ice', x: 2, y: 2, layers: 2 },
+                { type: 'ice', x: 3, y: 2 },
+                { type: 'locked', x: 1, y: 2 }
+            ]
+        });
+
+        const grid = new GameEngine(level, 1).gridManager;
+
+        assert.strictEqual(grid.getTile(2, 2).type, 'green');
+        assert.strictEqual(grid.getTile(2, 2).iceLayer, 2);
+        assert.strictEqual(grid.getTile(3, 2).iceLayer, 1);
+        assert.strictEqual(grid.getTile(1, 2).isLocked, true);
+    });
+});
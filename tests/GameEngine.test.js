@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, GameEngine, createLevel, toFixture, plain } = require('./helpers/fixtures');
+
+// Swapping (0,2) and (0,3) lines up three reds on the bottom row
+const EXIT_ABOVE = createLevel('GEBY/R@YB/RBGY/GRRB');
+const EXIT_AWAY = createLevel('GYBE/R@YB/RBGY/GRRB');
+
+describe('GameEngine.swap', () => {
+    it('rejects a swap that makes no match and leaves the board alone', () => {
+        const engine = new GameEngine(EXIT_AWAY, 1);
+        const before = toFixture(engine.gridManager);
+
+        const events = plain(engine.swap(2, 2, 3, 2));
+
+        assert.deepStrictEqual(events, [{ type: 'rejected', from: { x: 2, y: 2 }, to: { x: 3, y: 2 } }]);
+        assert.strictEqual(toFixture(engine.gridManager), before);
+        assert.strictEqual(engine.movesRemaining, engine.maxMoves);
+    });
+
+    it('rejects swaps between cells that are not neighbours', () => {
+        const engine = new GameEngine(EXIT_AWAY, 1);
+
+        assert.strictEqual(engine.swap(0, 0, 2, 0)[0].type, 'rejected');
+        assert.strictEqual(engine.swap(0, 0, 1, 1)[0].type, 'rejected');
+    });
+
+    it('rejects swaps with the character or a stone', () => {
+        const engine = new GameEngine(createLevel('GYBE/R@#B/RBGY/GRRB'), 1);
+
+        assert.strictEqual(engine.swap(0, 1, 1, 1)[0].type, 'rejected');
+        assert.strictEqual(engine.swap(2, 2, 2, 1)[0].type, 'rejected');
+    });
+
+    it('reports the swap, the match and the refill in order', () => {
+        const engine = new GameEngine(EXIT_AWAY, 1);
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+        const types = events.map(event => event.type);
+
+        assert.deepStrictEqual(types.slice(0, 3), ['swapped', 'matched', 'cleared']);
+        assert.deepStrictEqual(events[1].positions, [{ x: 0, y: 3 }, { x: 1, y: 3 }, { x: 2, y: 3 }]);
+        assert.ok(types.includes('spawned'));
+        assert.strictEqual(engine.movesRemaining, engine.maxMoves - 1);
+        assert.strictEqual(engine.matchResolver.hasMatches(), false);
+    });
+
+    it('keeps board snapshots separate from the live grid', () => {
+        const engine = new GameEngine(EXIT_AWAY, 1);
+
+        const [swapped] = engine.swap(0, 2, 0, 3);
+
+        assert.strictEqual(swapped.board.grid[3][0].type, 'red');
+        assert.strictEqual(swapped.board.grid[2][0].type, 'green');
+        assert.notStrictEqual(swapped.board.grid[3][0], engine.gridManager.getTile(0, 3));
+    });
+
+    it('creates the special where the player moved the tile', () => {
+        const engine = new GameEngine(createLevel('RBRRE/GRYBY/G@BGB'), 1);
+
+        const events = plain(engine.swap(1, 1, 1, 0));
+        const cleared = events.find(event => event.type === 'cleared');
+
+        assert.deepStrictEqual(cleared.created, [
+            { type: CONFIG.SPECIAL_TILES.LINE_V, position: { x: 1, y: 0 }, color: 'red' }
+        ]);
+    });
+
+    it('accepts a color bomb swap without a color match', () => {
+        const engine = new GameEngine(EXIT_AWAY, 1);
+        engine.gridManager.getTile(2, 2).setSpecial(CONFIG.SPECIAL_TILES.COLOR_BOMB);
+
+        const events = plain(engine.swap(2, 2, 3, 2));
+
+        assert.deepStrictEqual(events.slice(0, 2).map(event => event.type), ['swapped', 'specialFired']);
+        assert.strictEqual(events[1].special, CONFIG.SPECIAL_TILES.COLOR_BOMB);
+    });
+
+    it('gives the same events for the same seed', () => {
+        const play = () => plain(new GameEngine(EXIT_AWAY, 99).swap(0, 2, 0, 3));
+
+        assert.deepStrictEqual(play(), play());
+    });
+});
+
+describe('GameEngine win and lose', () => {
+    it('wins when the character reaches the exit', () => {
+        const engine = new GameEngine(EXIT_ABOVE, 1);
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+
+        assert.deepStrictEqual(events.find(event => event.type === 'characterMoved').path, [{ x: 1, y: 0 }]);
+        assert.deepStrictEqual(events[events.length - 1], {
+            type: 'won', movesUsed: 1, movesRemaining: 19, freed: 1, characters: 1, score: engine.scoreSystem.score, stars: 0
+        });
+        assert.strictEqual(engine.outcome, 'won');
+    });
+
+    it('wins once enough characters have escaped', () => {
+        // The second character is stuck in the bottom corner
+        const level = createLevel('GEBY/R@YB/RBGY/GRR@');
+
+        const all = plain(new GameEngine(level, 1).swap(0, 2, 0, 3));
+        const engine = new GameEngine({ ...level, escapeQuota: 1 }, 1);
+        const quota = plain(engine.swap(0, 2, 0, 3));
+
+        assert.strictEqual(all.some(event => event.type === 'won'), false);
+        assert.deepStrictEqual(quota[quota.length - 1], {
+            type: 'won', movesUsed: 1, movesRemaining: 19, freed: 1, characters: 2, score: engine.scoreSystem.score, stars: 0
+        });
+    });
+
+    it('loses when the water reaches a character left behind', () => {
+        const level = createLevel('GEBY/R@YB/RBGY/GRR@', { hazards: [{ type: 'water', every: 1 }] });
+
+        const events = plain(new GameEngine(level, 1).swap(0, 2, 0, 3));
+
+        assert.strictEqual(events.find(event => event.type === 'characterMoved').escaped, true);
+        assert.deepStrictEqual(events[events.length - 1], { type: 'lost', reason: 'flooded' });
+    });
+
+    it('counts a win on the last move as a win', () => {
+        const engine = new GameEngine({ ...EXIT_ABOVE, maxMoves: 1 }, 1);
+
+        const events = engine.swap(0, 2, 0, 3);
+
+        assert.strictEqual(events[events.length - 1].type, 'won');
+        assert.strictEqual(events.some(event => event.type === 'lost'), false);
+    });
+
+    it('loses when the moves run out', () => {
+        const engine = new GameEngine({ ...EXIT_AWAY, maxMoves: 1 }, 1);
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+
+        assert.deepStrictEqual(events[events.length - 1], { type: 'lost', reason: 'moves' });
+        assert.strictEqual(engine.isOver(), true);
+    });
+
+    it('ignores swaps once the level is over', () => {
+        const engine = new GameEngine({ ...EXIT_AWAY, maxMoves: 1 }, 1);
+        engine.swap(0, 2, 0, 3);
+
+        const hint = engine.findHint();
+        assert.deepStrictEqual(plain(engine.swap(hint.x1, hint.y1, hint.x2, hint.y2)), []);
+    });
+
+    it('comes back from a lost level when a snapshot is restored', () => {
+        const engine = new GameEngine({ ...EXIT_AWAY, maxMoves: 1 }, 1);
+        const snapshot = engine.createSnapshot();
+        const first = plain(engine.swap(0, 2, 0, 3));
+
+        engine.restoreSnapshot(snapshot);
+
+        assert.strictEqual(engine.isOver(), false);
+        assert.strictEqual(engine.movesRemaining, 1);
+        assert.deepStrictEqual(plain(engine.swap(0, 2, 0, 3)), first);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createBoard, toFixture, plain } = require('./helpers/fixtures');
+
+describe('GravitySystem.applyGravityFully', () => {
+    it('drops tiles into the empty cells below them', () => {
+        const { grid, gravity } = createBoard('R.G/B.Y/..B');
+
+        gravity.applyGravityFully();
+
+        assert.strictEqual(toFixture(grid), '..G/R.Y/B.B');
+    });
+
+    it('reports every tile that moved', () => {
+        const { gravity } = createBoard('R/./.');
+
+        const movements = plain(gravity.applyGravityFully().flat());
+
+        assert.deepStrictEqual(movements, [{ fromX: 0, fromY: 0, toX: 0, toY: 2 }]);
+    });
+
+    it('keeps stones, the exit and the character in place', () => {
+        const { grid, gravity } = createBoard('RER/#.@/.G.');
+
+        gravity.applyGravityFully();
+
+        assert.strictEqual(toFixture(grid), '.E./#.@/RGR');
+    });
+
+    it('never drops a tile through a stone', () => {
+        const { grid, gravity } = createBoard('R/#/.');
+
+        gravity.applyGravityFully();
+
+        assert.strictEqual(toFixture(grid), 'R/#/.');
+    });
+
+    it('slides a tile diagonally into the gap beneath a stone', () => {
+        const { grid, gravity } = createBoard('RG/#B/.Y');
+
+        const movements = plain(gravity.applyGravityFully().flat());
+
+        assert.strictEqual(toFixture(grid), 'R./#G/BY');
+        assert.deepStrictEqual(movements, [
+            { fromX: 1, fromY: 1, toX: 0, toY: 2 },
+            { fromX: 1, fromY: 0, toX: 1, toY: 1 }
+        ]);
+    });
+
+    it('only slides a tile that cannot drop straight down', () => {
+        const { grid, gravity } = createBoard('#R/../.B');
+
+        gravity.applyGravityFully();
+
+        assert.strictEqual(toFixture(grid), '#./.R/.B');
+    });
+});
+
+describe('GravitySystem.processGravity', () => {
+    it('refills every empty cell except the character and exit', () => {
+        const { grid, gravity } = createBoard('E..@/.RG.');
+
+        const { newTiles } = gravity.processGravity();
+
+        assert.strictEqual(newTiles.length, 4);
+        assert.match(toFixture(grid), /^E[RBGYP]{2}@\/[RBGYP]RG[RBGYP]$/);
+    });
+
+    it('only spawns the level\'s colors', () => {
+        const { grid, gravity } = createBoard('..../..../....', { tileTypes: ['red', 'blue', 'green'] });
+
+        gravity.processGravity();
+
+        assert.match(toFixture(grid), /^[RBG/]+$/);
+    });
+
+    it('refills the same way for the same seed', () => {
+        const fill = seed => {
+            const { grid, gravity } = createBoard('..../..../....', { seed });
+            gravity.processGravity();
+            return toFixture(grid);
+        };
+
+        assert.strictEqual(fill(7), fill(7));
+    });
+});
+
+describe('GravitySystem spawners', () => {
+    it('fills the shadow under a stone from the columns beside it', () => {
+        const { grid, gravity } = createBoard('R#G/B.Y/G.R');
+
+        const { movements } = gravity.processGravity();
+
+        assert.match(toFixture(grid), /^[RBGYP]#[RBGYP]\/BGY\/GRR$/);
+        assert.deepStrictEqual(plain(movements[0]), { fromX: 0, fromY: 0, toX: 1, toY: 1 });
+    });
+
+    it('never refills a column left out of the spawners', () => {
+        const { grid, gravity } = createBoard('.../.../...', { noSpawnColumns: [1] });
+
+        gravity.processGravity();
+
+        assert.match(toFixture(grid), /^([RBGYP]\.[RBGYP]\/?){3}$/);
+    });
+
+    it('slides nothing into a column without a spawner', () => {
+        const fill = options => {
+            const { grid, gravity } = createBoard('GEB/R.Y/BGR', options);
+            gravity.processGravity();
+            return toFixture(grid);
+        };
+
+        assert.strictEqual(fill({ noSpawnColumns: [1] }), 'GEB/R.Y/BGR');
+        assert.match(fill({}), /^[RBGYP]E[RBGYP]\/R[GB]Y\/BGR$/);
+    });
+
+    it('drops new tiles in at a level\'s own spawners', () => {
+        const { grid, gravity } = createBoard('###/.../...', { spawners: [{ x: 1, y: 1 }] });
+
+        gravity.processGravity();
+
+        assert.match(toFixture(grid), /^###\/\.[RBGYP]\.\/\.[RBGYP]\.$/);
+    });
+
+    it('reports where each new tile came to rest', () => {
+        const { gravity } = createBoard('./.');
+
+        const { newTiles } = gravity.processGravity();
+
+        assert.deepStrictEqual(plain(newTiles.map(({ x, y }) => ({ x, y }))), [{ x: 0, y: 1 }, { x: 0, y: 0 }]);
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, GameEngine, createBoard, createLevel, toFixture, plain } = require('./helpers/fixtures');
+
+// Swapping (0,2) and (0,3) lines up three reds on the bottom row, the character can't move
+const EXIT_AWAY = createLevel('GYBE/R@YB/RBGY/GRRB');
+
+describe('HazardSystem water', () => {
+    it('floods one row at a time from the bottom', () => {
+        const { hazards } = createBoard('RGB/GBR/BRG', { hazards: [{ type: 'water', every: 2 }] });
+
+        assert.deepStrictEqual(plain(hazards.riseWater()), [{ x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }]);
+        assert.deepStrictEqual(plain(hazards.riseWater()), [{ x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }]);
+        assert.strictEqual(hazards.isFlooded(1), true);
+        assert.strictEqual(hazards.isFlooded(0), false);
+    });
+
+    it('reaches the character once its row is under water', () => {
+        const { hazards } = createBoard('RER/G@B/BRG', { hazards: [{ type: 'water', rows: 1 }] });
+
+        assert.strictEqual(hazards.hasFloodedCharacter(), false);
+        hazards.riseWater();
+        assert.strictEqual(hazards.hasFloodedCharacter(), true);
+    });
+
+    it('grows every few moves', () => {
+        const { hazards } = createBoard('RGB/GBR/BRG', {
+            hazards: [{ type: 'slime', every: 2 }, { type: 'water', every: 3 }]
+        });
+
+        assert.deepStrictEqual(plain(hazards.getDueHazards(1)), []);
+        assert.deepStrictEqual(plain(hazards.getDueHazards(2)), ['slime']);
+        assert.deepStrictEqual(plain(hazards.getDueHazards(6)), ['slime', 'water']);
+        assert.strictEqual(hazards.getMovesUntil('water', 4), 2);
+        assert.strictEqual(hazards.getMovesUntil('water', 0), 3);
+    });
+
+    it('uses the default pace when a hazard sets none', () => {
+        const { hazards } = createBoard('RGB/GBR/BRG', { hazards: [{ type: 'water' }] });
+
+        assert.strictEqual(hazards.getHazard('water').every, CONFIG.HAZARDS.DEFAULT_EVERY);
+    });
+});
+
+describe('HazardSystem slime', () => {
+    it('turns a colored tile next to slime into slime', () => {
+        const { grid, hazards } = createBoard('#R#/#S#/###', { hazards: [{ type: 'slime' }] });
+
+        const spread = plain(hazards.spreadSlime());
+
+        assert.deepStrictEqual(spread, { from: { x: 1, y: 1 }, to: { x: 1, y: 0 } });
+        assert.strictEqual(toFixture(grid), '#S#/#S#/###');
+    });
+
+    it('leaves specials and held tiles alone', () => {
+        const { hazards } = createBoard('#R#/BSG/#Y#', {
+            hazards: [{ type: 'slime' }],
+            specials: { '1,0': CONFIG.SPECIAL_TILES.BOMB },
+            ice: { '0,1': 1 },
+            locked: ['2,1'],
+            chains: { '1,2': 1 }
+        });
+
+        assert.strictEqual(hazards.spreadSlime(), null);
+    });
+
+    it('holds back on a turn that cleared slime', () => {
+        const { grid, resolver, hazards } = createBoard('RRRB/GSSB', { hazards: [{ type: 'slime' }] });
+
+        // A match next to the slime clears it
+        resolver.processMatches(resolver.findAllMatches()).clearedPositions
+            .forEach(pos => grid.setEmpty(pos.x, pos.y));
+
+        assert.strictEqual(hazards.countSlime(), 0);
+        assert.strictEqual(hazards.spreadSlime(), null);
+    });
+
+    it('holds back when a match only hits slime that turn', () => {
+        const { resolver, hazards } = createBoard('RRRB/GSYB', { hits: { '1,1': 2 } });
+
+        resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(hazards.countSlime(), 1);
+        assert.strictEqual(hazards.spreadSlime(), null);
+    });
+
+    it('grows again once a turn goes by without touching slime', () => {
+        const { grid, resolver, hazards } = createBoard('RRRBG/GSYBY/BYGYS', { hazards: [{ type: 'slime', every: 3 }] });
+
+        // Turn 1: a match clears the slime next to it
+        resolver.processMatches(resolver.findAllMatches()).clearedPositions
+            .forEach(pos => grid.setEmpty(pos.x, pos.y));
+
+        // Turns 2 and 3 leave the slime alone, so it grows when due
+        hazards.startTurn();
+        hazards.startTurn();
+        assert.notStrictEqual(hazards.spreadSlime(), null);
+    });
+
+    it('is cleared by a match next to it', () => {
+        const { resolver } = createBoard('RRRB/GSYB');
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(result.clearedPositions.some(pos => pos.x === 1 && pos.y === 1), true);
+    });
+});
+
+describe('GameEngine hazards', () => {
+    it('loses when the water reaches the character', () => {
+        const engine = new GameEngine({ ...EXIT_AWAY, hazards: [{ type: 'water', every: 1, rows: 2 }] }, 1);
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+        const rose = events.find(event => event.type === 'waterRose');
+
+        assert.strictEqual(rose.rows, 3);
+        assert.strictEqual(rose.board.waterRows, 3);
+        assert.deepStrictEqual(events[events.length - 1], { type: 'lost', reason: 'flooded' });
+    });
+
+    it('spreads slime at the end of the turn', () => {
+        const level = createLevel('GYBE/R@YB/RBGY/GRRB', {
+            blockers: [{ type: 'slime', x: 3, y: 2 }],
+            hazards: [{ type: 'slime', every: 1 }]
+        });
+        const engine = new GameEngine(level, 1);
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+        const spread = events.find(event => event.type === 'slimeSpread');
+
+        assert.deepStrictEqual(spread.from, { x: 3, y: 2 });
+        assert.strictEqual(engine.gridManager.getTile(spread.to.x, spread.to.y).isSlime(), true);
+        assert.ok(events.indexOf(spread) > events.findIndex(event => event.type === 'spawned'));
+    });
+
+    it('puts the water back when a snapshot is restored', () => {
+        const engine = new GameEngine({ ...EXIT_AWAY, hazards: [{ type: 'water', every: 1 }] }, 1);
+        const snapshot = engine.createSnapshot();
+
+        engine.swap(0, 2, 0, 3);
+        assert.strictEqual(engine.getBoard().waterRows, 1);
+
+        engine.restoreSnapshot(snapshot);
+        assert.strictEqual(engine.getBoard().waterRows, 0);
+        assert.strictEqual(engine.getMovesUntilHazard('water'), 1);
+    });
+});
@@ -0,0 +1,312 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, createBoard, tileAt, plain, sortPositions } = require('./helpers/fixtures');
+
+describe('MatchResolver.findAllMatches', () => {
+    it('finds a horizontal match of three', () => {
+        const { resolver } = createBoard('RRRB/GBYG/BGBY');
+
+        const matches = plain(resolver.findAllMatches());
+
+        assert.strictEqual(matches.length, 1);
+        assert.deepStrictEqual(matches[0], {
+            tiles: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }],
+            type: 'horizontal',
+            length: 3,
+            color: 'red',
+            shape: CONFIG.MATCH_SHAPES.LINE
+        });
+    });
+
+    it('finds a vertical match at the edge of the board', () => {
+        const { resolver } = createBoard('RGB/YGB/RBB');
+
+        const matches = plain(resolver.findAllMatches());
+
+        assert.strictEqual(matches.length, 1);
+        assert.strictEqual(matches[0].type, 'vertical');
+        assert.strictEqual(matches[0].color, 'blue');
+        assert.deepStrictEqual(matches[0].tiles, [{ x: 2, y: 0 }, { x: 2, y: 1 }, { x: 2, y: 2 }]);
+    });
+
+    it('merges crossing runs of one color into a single plus shape', () => {
+        const { resolver } = createBoard('BRB/RRR/GRG');
+
+        const matches = plain(resolver.findAllMatches());
+
+        assert.strictEqual(matches.length, 1);
+        assert.strictEqual(matches[0].type, 'shape');
+        assert.strictEqual(matches[0].shape, CONFIG.MATCH_SHAPES.PLUS);
+        assert.strictEqual(matches[0].length, 5);
+        assert.deepStrictEqual(matches[0].intersection, { x: 1, y: 1 });
+        assert.deepStrictEqual(sortPositions(matches[0].tiles), [
+            { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 1, y: 2 }
+        ]);
+    });
+
+    it('recognizes an L shape at the corner', () => {
+        const { resolver } = createBoard('GBY/GYB/GGG');
+
+        const [match] = plain(resolver.findAllMatches());
+
+        assert.strictEqual(match.shape, CONFIG.MATCH_SHAPES.L);
+        assert.deepStrictEqual(match.intersection, { x: 0, y: 2 });
+        assert.strictEqual(match.length, 5);
+    });
+
+    it('recognizes a T shape where one run ends on the other', () => {
+        const { resolver } = createBoard('YYYB/GYBG/RYGB');
+
+        const [match] = plain(resolver.findAllMatches());
+
+        assert.strictEqual(match.shape, CONFIG.MATCH_SHAPES.T);
+        assert.deepStrictEqual(match.intersection, { x: 1, y: 0 });
+    });
+
+    it('keeps runs of different colors apart', () => {
+        const { resolver } = createBoard('RRRB/GBYB/BGYB');
+
+        const matches = plain(resolver.findAllMatches());
+
+        assert.deepStrictEqual(matches.map(match => match.shape), ['line', 'line']);
+        assert.deepStrictEqual(matches.map(match => match.color), ['red', 'blue']);
+    });
+
+    it('does not match through stones, empty cells or locked tiles', () => {
+        assert.strictEqual(createBoard('RR#R/GBYG').resolver.findAllMatches().length, 0);
+        assert.strictEqual(createBoard('RR.R/GBYG').resolver.findAllMatches().length, 0);
+        assert.strictEqual(createBoard('RRRB/GBYG', { locked: ['1,0'] }).resolver.findAllMatches().length, 0);
+    });
+
+    it('finds nothing on a board without three in a row', () => {
+        const { resolver } = createBoard('RGBY/GBYR/BYRG');
+
+        assert.deepStrictEqual(plain(resolver.findAllMatches()), []);
+        assert.strictEqual(resolver.hasMatches(), false);
+    });
+});
+
+describe('MatchResolver.processMatches', () => {
+    it('clears the matched tiles and creates no special for three', () => {
+        const { resolver } = createBoard('RRRB/GBYG');
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(sortPositions(result.clearedPositions), [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }]);
+        assert.deepStrictEqual(plain(result.specialTiles), []);
+        assert.deepStrictEqual(plain(result.activations), []);
+    });
+
+    it('creates a line clear from a match of four', () => {
+        const { resolver } = createBoard('RRRRB/GBYGY');
+
+        const { specialTiles } = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(plain(specialTiles), [
+            { type: CONFIG.SPECIAL_TILES.LINE_V, position: { x: 2, y: 0 }, color: 'red' }
+        ]);
+    });
+
+    it('puts the special on the swapped cell when it is part of the run', () => {
+        const { resolver } = createBoard('RRRRB/GBYGY');
+
+        const { specialTiles } = resolver.processMatches(resolver.findAllMatches(), [{ x: 1, y: 0 }]);
+
+        assert.deepStrictEqual(plain(specialTiles[0].position), { x: 1, y: 0 });
+    });
+
+    it('falls back to the middle of the run when the swapped cells are elsewhere', () => {
+        const { resolver } = createBoard('RRRRB/GBYGY');
+
+        const { specialTiles } = resolver.processMatches(resolver.findAllMatches(), [{ x: 4, y: 0 }, { x: 4, y: 1 }]);
+
+        assert.deepStrictEqual(plain(specialTiles[0].position), { x: 2, y: 0 });
+    });
+
+    it('creates a horizontal line clear from a vertical match of four', () => {
+        const { resolver } = createBoard('RG/RB/RY/RG');
+
+        const { specialTiles } = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(specialTiles[0].type, CONFIG.SPECIAL_TILES.LINE_H);
+    });
+
+    it('creates a color bomb from a straight match of five', () => {
+        const { resolver } = createBoard('GGGGG/RBYRB');
+
+        const { specialTiles } = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(plain(specialTiles), [
+            { type: CONFIG.SPECIAL_TILES.COLOR_BOMB, position: { x: 2, y: 0 }, color: 'green' }
+        ]);
+    });
+
+    it('places a single bomb where an L or T shape crosses', () => {
+        const { resolver } = createBoard('GBY/GYB/GGG');
+
+        const { specialTiles, clearedPositions } = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(plain(specialTiles), [
+            { type: CONFIG.SPECIAL_TILES.BOMB, position: { x: 0, y: 2 }, color: 'green' }
+        ]);
+        assert.strictEqual(clearedPositions.length, 5);
+    });
+
+    it('tells a straight five apart from a five-tile plus', () => {
+        const straight = createBoard('GGGGG/RBYRB').resolver;
+        const plus = createBoard('BRB/RRR/GRG').resolver;
+
+        const [line] = plain(straight.findAllMatches());
+        const [shape] = plain(plus.findAllMatches());
+
+        assert.strictEqual(line.shape, CONFIG.MATCH_SHAPES.LINE);
+        assert.strictEqual(shape.shape, CONFIG.MATCH_SHAPES.PLUS);
+        assert.deepStrictEqual(plain(plus.getSpecialTileForMatch(shape).position), { x: 1, y: 1 });
+    });
+
+    it('strips one ice layer instead of clearing an iced tile', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG', { ice: { '1,0': 2 } });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,0').iceLayer, 1);
+        assert.deepStrictEqual(sortPositions(result.clearedPositions), [{ x: 0, y: 0 }, { x: 2, y: 0 }]);
+    });
+
+    it('clears a tile whose last ice layer breaks', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG', { ice: { '1,0': 1 } });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,0').iceLayer, 0);
+        assert.strictEqual(result.clearedPositions.length, 3);
+    });
+
+    it('releases locked tiles next to a cleared tile', () => {
+        const { grid, resolver } = createBoard('RRRB/GBYG/YBRB', { locked: ['1,1', '1,2'] });
+
+        resolver.processMatches(resolver.findAllMatches());
+
+        assert.strictEqual(tileAt(grid, '1,1').isLocked, false);
+        assert.strictEqual(tileAt(grid, '1,2').isLocked, true);
+    });
+
+    it('detonates a special caught in a match and chains into others', () => {
+        const { resolver } = createBoard('RRRB/GBYG/BYGY/GBGB', {
+            specials: { '0,0': CONFIG.SPECIAL_TILES.LINE_V, '0,3': CONFIG.SPECIAL_TILES.LINE_H }
+        });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(plain(result.activations).map(activation => activation.type), [
+            CONFIG.SPECIAL_TILES.LINE_V,
+            CONFIG.SPECIAL_TILES.LINE_H
+        ]);
+        // The match, the rest of column 0 and the rest of row 3
+        assert.strictEqual(result.clearedPositions.length, 3 + 3 + 3);
+    });
+
+    it('does not blast stones, the exit or the character', () => {
+        const { resolver } = createBoard('E#RB/GRRR/@BYG', {
+            specials: { '1,1': CONFIG.SPECIAL_TILES.LINE_V }
+        });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(sortPositions(result.activations[0].affectedPositions), [
+            { x: 1, y: 1 }, { x: 1, y: 2 }
+        ]);
+    });
+});
+
+describe('MatchResolver.processSpecialCombo', () => {
+    it('fires a cross when two line clears are swapped together', () => {
+        const { resolver } = createBoard('RGBY/GBYR/BYRG', {
+            specials: { '1,1': CONFIG.SPECIAL_TILES.LINE_H, '2,1': CONFIG.SPECIAL_TILES.LINE_V }
+        });
+
+        const result = resolver.processSpecialCombo(1, 1, 2, 1);
+
+        assert.strictEqual(result.activations[0].type, CONFIG.SPECIAL_COMBOS.CROSS);
+        // Row 1 plus column 2
+        assert.strictEqual(result.clearedPositions.length, 4 + 2);
+    });
+});
+
+describe('MatchResolver color bombs', () => {
+    const COLOR_BOMB = CONFIG.SPECIAL_TILES.COLOR_BOMB;
+
+    it('accepts a color bomb swapped with any colored tile', () => {
+        const { resolver } = createBoard('RGBY/GBYR/BYRG', { specials: { '1,1': COLOR_BOMB } });
+
+        assert.deepStrictEqual(plain(resolver.getColorBombSwap(1, 1, 2, 1)), {
+            bomb: { x: 1, y: 1 }, target: { x: 2, y: 1 }
+        });
+        assert.strictEqual(resolver.getColorBombSwap(0, 0, 1, 0), null);
+    });
+
+    it('clears every tile of the color it was swapped with', () => {
+        const { resolver } = createBoard('RGBY/GBYR/BYRG', { specials: { '1,1': COLOR_BOMB } });
+
+        // As if the bomb at (1,1) was swapped with the yellow at (2,1)
+        const result = resolver.processColorBombSwap(1, 1, 2, 1);
+
+        assert.strictEqual(result.activations[0].type, COLOR_BOMB);
+        assert.deepStrictEqual(sortPositions(result.activations[0].affectedPositions), [
+            { x: 3, y: 0 }, { x: 2, y: 1 }, { x: 1, y: 2 }
+        ]);
+        // The three yellows plus the bomb itself
+        assert.strictEqual(result.clearedPositions.length, 4);
+    });
+
+    it('clears the whole board when two color bombs meet', () => {
+        const { resolver } = createBoard('RGB/G#Y/BYR', { specials: { '0,0': COLOR_BOMB, '1,0': COLOR_BOMB } });
+
+        const result = resolver.processColorBombSwap(0, 0, 1, 0);
+
+        assert.strictEqual(result.activations[0].type, CONFIG.SPECIAL_COMBOS.BOARD_CLEAR);
+        assert.strictEqual(result.clearedPositions.length, 8);
+    });
+
+    it('clears its own color when set off by a match', () => {
+        const { resolver } = createBoard('RRRG/GBYR/BYRG', { specials: { '0,0': COLOR_BOMB } });
+
+        const result = resolver.processMatches(resolver.findAllMatches());
+
+        assert.deepStrictEqual(sortPositions(result.clearedPositions), [
+            { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 1 }, { x: 2, y: 2 }
+        ]);
+    });
+
+    it('counts as a valid move next to any tile', () => {
+        const { grid } = createBoard('RGBY/GBYR/BYRG', { specials: { '1,1': COLOR_BOMB } });
+
+        assert.strictEqual(grid.hasPossibleMoves(), true);
+        assert.strictEqual(createBoard('RGBY/GBYR/BYRG').grid.hasPossibleMoves(), false);
+    });
+});
+
+describe('GridManager move search', () => {
+    // Swapping (2,0) and (3,0) lines up three reds on the top row - the only move
+    const ONE_MOVE = 'RRGR/GBYG/BYRB';
+
+    it('agrees with the resolver that locked tiles never make a match', () => {
+        const { grid, resolver } = createBoard(ONE_MOVE, { locked: ['0,0'] });
+
+        assert.strictEqual(grid.hasPossibleMoves(), false);
+        assert.strictEqual(grid.findHint(), null);
+
+        grid.swap(2, 0, 3, 0);
+        assert.strictEqual(resolver.checkForMatchAt(2, 0), false);
+    });
+
+    it('never hints at moving an iced or chained tile', () => {
+        assert.deepStrictEqual(plain(createBoard(ONE_MOVE).grid.findHint()), { x1: 2, y1: 0, x2: 3, y2: 0 });
+
+        [{ ice: { '2,0': 1 } }, { chains: { '3,0': 1 } }].forEach(options => {
+            const { grid } = createBoard(ONE_MOVE, options);
+            assert.strictEqual(grid.findHint(), null);
+            assert.strictEqual(grid.hasPossibleMoves(), false);
+        });
+    });
+});
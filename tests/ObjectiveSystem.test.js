@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, GameEngine, createLevel, plain } = require('./helpers/fixtures');
+
+// Swapping (0,2) and (0,3) lines up three reds on the bottom row, nowhere near the exit
+const EXIT_AWAY = 'GYBE/R@YB/RBGY/GRRB';
+
+/**
+ * Build an engine for the EXIT_AWAY board with extra level settings
+ * @param {Object} extra - Level properties
+ * @returns {GameEngine}
+ */
+function createEngine(extra) {
+    return new GameEngine(createLevel(EXIT_AWAY, extra), 1);
+}
+
+describe('ObjectiveSystem', () => {
+    it('defaults to escaping', () => {
+        const engine = createEngine();
+
+        assert.deepStrictEqual(plain(engine.objectiveSystem.getProgress()), [
+            { type: 'escape', current: 0, target: 1, done: false }
+        ]);
+    });
+
+    it('wins once enough tiles of a color are cleared', () => {
+        const engine = createEngine({ objectives: [{ type: 'collect', color: 'red', count: 3 }] });
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+        const progressed = events.find(event => event.type === 'progressed');
+
+        assert.deepStrictEqual(progressed.objectives, [{ type: 'collect', color: 'red', current: 3, target: 3, done: true }]);
+        assert.strictEqual(engine.outcome, 'won');
+    });
+
+    it('counts ice and crackable stones left on the board', () => {
+        const engine = createEngine({
+            objectives: [{ type: 'ice' }, { type: 'stones' }],
+            overlays: [{ type: 'ice', x: 1, y: 3 }],
+            blockers: [{ type: 'crackable', x: 3, y: 3, hits: 1 }]
+        });
+
+        assert.deepStrictEqual(plain(engine.objectiveSystem.getProgress()).map(goal => goal.target), [1, 1]);
+
+        engine.swap(0, 2, 0, 3);
+
+        assert.deepStrictEqual(plain(engine.objectiveSystem.getProgress()).map(goal => goal.done), [true, true]);
+        assert.strictEqual(engine.outcome, 'won');
+    });
+
+    it('needs every goal before the level is won', () => {
+        const engine = createEngine({
+            objectives: [{ type: 'score', target: 1 }, { type: 'collect', color: 'blue', count: 99 }]
+        });
+
+        engine.swap(0, 2, 0, 3);
+
+        assert.deepStrictEqual(plain(engine.objectiveSystem.getProgress()).map(goal => goal.done), [true, false]);
+        assert.strictEqual(engine.outcome, null);
+    });
+
+    it('takes collected tiles back on undo', () => {
+        const engine = createEngine({ objectives: [{ type: 'collect', color: 'red', count: 99 }] });
+        const snapshot = engine.createSnapshot();
+
+        engine.swap(0, 2, 0, 3);
+        engine.restoreSnapshot(snapshot);
+
+        assert.strictEqual(engine.objectiveSystem.getProgress()[0].current, 0);
+    });
+});
+
+describe('GameEngine time limits', () => {
+    it('has no move limit and loses when time runs out', () => {
+        const engine = createEngine({ timeLimit: 30, objectives: [{ type: 'collect', color: 'red', count: 99 }] });
+
+        engine.swap(0, 2, 0, 3);
+
+        assert.strictEqual(engine.movesRemaining, Infinity);
+        assert.strictEqual(engine.getMovesUsed(), 1);
+        assert.deepStrictEqual(plain(engine.tick(10)), []);
+        assert.strictEqual(engine.timeRemaining, 20);
+        assert.deepStrictEqual(plain(engine.tick(25)), [{ type: 'lost', reason: 'time' }]);
+        assert.strictEqual(engine.timeRemaining, 0);
+        assert.deepStrictEqual(plain(engine.swap(1, 2, 1, 3)), []);
+    });
+
+    it('gives no bonus for moves on a timed level', () => {
+        const engine = createEngine({ timeLimit: 30, objectives: [{ type: 'score', target: 1 }] });
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+
+        assert.strictEqual(engine.outcome, 'won');
+        assert.strictEqual(events.some(event => event.reason === 'moves'), false);
+        assert.strictEqual(events[events.length - 1].movesUsed, 1);
+    });
+
+    it('keeps a move limit set alongside the time limit', () => {
+        const engine = createEngine({ timeLimit: 30, maxMoves: 1, objectives: [{ type: 'collect', color: 'red', count: 99 }] });
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+
+        assert.deepStrictEqual(events[events.length - 1], { type: 'lost', reason: 'moves' });
+    });
+
+    it('adds time for specials set off, and takes it back on undo', () => {
+        const engine = createEngine({ timeLimit: 30, objectives: [{ type: 'collect', color: 'red', count: 99 }] });
+        engine.gridManager.getTile(2, 2).setSpecial(CONFIG.SPECIAL_TILES.COLOR_BOMB);
+        engine.tick(10);
+        const snapshot = engine.createSnapshot();
+
+        const events = plain(engine.swap(2, 2, 3, 2));
+        const fired = events.filter(event => event.type === 'specialFired').length;
+        const added = events.filter(event => event.type === 'timeAdded')
+            .reduce((total, event) => total + event.seconds, 0);
+
+        assert.ok(fired > 0);
+        assert.strictEqual(added, fired * CONFIG.TIMER.SPECIAL_BONUS);
+        assert.strictEqual(engine.timeRemaining, 20 + added);
+
+        engine.tick(5);
+        engine.restoreSnapshot(snapshot);
+
+        assert.strictEqual(engine.timeRemaining, 15);
+    });
+
+    it('ignores ticks on a level limited by moves', () => {
+        const engine = createEngine();
+
+        assert.deepStrictEqual(plain(engine.tick(1000)), []);
+        assert.strictEqual(engine.outcome, null);
+    });
+});
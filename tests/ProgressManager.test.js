@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadGameScripts } = require('../tools/loadGameScripts');
+const { plain } = require('./helpers/fixtures');
+
+const { CONFIG, ProgressManager } = loadGameScripts(
+    ['js/config.js', 'js/managers/ProgressManager.js'],
+    ['CONFIG', 'ProgressManager']
+);
+
+/**
+ * Create an in-memory stand-in for localStorage
+ * @param {Object} items - Initial key -> string value
+ * @returns {Object}
+ */
+function createStorage(items = {}) {
+    const store = new Map(Object.entries(items));
+    return {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value))
+    };
+}
+
+describe('ProgressManager', () => {
+    it('opens only the first level of a new pack', () => {
+        const progress = new ProgressManager(createStorage());
+
+        assert.strictEqual(progress.isUnlocked('classic', 0), true);
+        assert.strictEqual(progress.isUnlocked('classic', 1), false);
+        assert.strictEqual(progress.getLevelRecord('classic', 1), null);
+    });
+
+    it('unlocks the next level and keeps each best separately', () => {
+        const progress = new ProgressManager(createStorage());
+
+        progress.recordWin('classic', 0, 1, { score: 3000, stars: 1, movesUsed: 12 });
+        const { record, isNewBest } = progress.recordWin('classic', 0, 1, { score: 2500, stars: 1, movesUsed: 9 });
+
+        assert.deepStrictEqual(plain(record), { score: 3000, stars: 1, moves: 9 });
+        assert.strictEqual(isNewBest, false);
+        assert.strictEqual(progress.isUnlocked('classic', 1), true);
+        assert.strictEqual(progress.isUnlocked('other', 1), false);
+    });
+
+    it('reads back what it saved', () => {
+        const storage = createStorage();
+        new ProgressManager(storage).recordWin('classic', 2, 3, { score: 4000, stars: 2, movesUsed: 15 });
+
+        const progress = new ProgressManager(storage);
+
+        assert.strictEqual(progress.getUnlockedCount('classic'), 4);
+        assert.deepStrictEqual(plain(progress.getLevelRecord('classic', 3)), { score: 4000, stars: 2, moves: 15 });
+    });
+
+    it('starts over when the save is unreadable or from a newer version', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const newer = JSON.stringify({ v: CONFIG.PROGRESS.VERSION + 1, packs: { classic: { unlocked: 5, levels: {} } } });
+
+        ['not json', '{}', newer].forEach(saved => {
+            const progress = new ProgressManager(createStorage({ [CONFIG.PROGRESS.STORAGE_KEY]: saved }));
+            assert.strictEqual(progress.getUnlockedCount('classic'), 1);
+        });
+        assert.strictEqual(warn.mock.callCount(), 3);
+    });
+
+    it('upgrades older saves one version at a time', () => {
+        const current = CONFIG.PROGRESS.VERSION;
+        const migrations = {
+            [current - 2]: data => ({ packs: { classic: { unlocked: data.unlocked, levels: {} } } }),
+            [current - 1]: data => ({ packs: { ...data.packs, classic: { ...data.packs.classic, unlocked: data.packs.classic.unlocked + 1 } } })
+        };
+
+        const data = ProgressManager.migrate({ v: current - 2, unlocked: 3 }, migrations);
+
+        assert.deepStrictEqual(plain(data), { v: current, packs: { classic: { unlocked: 4, levels: {} } } });
+        assert.throws(() => ProgressManager.migrate({ v: current - 1, packs: {} }, {}), /No upgrade/);
+    });
+});
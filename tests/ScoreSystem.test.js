@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, ScoreSystem, GameEngine, createLevel, plain } = require('./helpers/fixtures');
+
+// Swapping (0,2) and (0,3) lines up three reds on the bottom row and frees the way up
+const EXIT_ABOVE = createLevel('GEBY/R@YB/RBGY/GRRB');
+
+describe('ScoreSystem', () => {
+    it('multiplies each wave of clears in a move by the combo', () => {
+        const scores = new ScoreSystem();
+
+        scores.startMove();
+        assert.strictEqual(scores.scoreClear(3, 0), 3 * CONFIG.SCORING.TILE);
+        assert.strictEqual(scores.scoreClear(3, 0), 3 * CONFIG.SCORING.TILE * 2);
+
+        scores.startMove();
+        assert.strictEqual(scores.scoreClear(3, 0), 3 * CONFIG.SCORING.TILE);
+        assert.strictEqual(scores.score, 3 * CONFIG.SCORING.TILE * 4);
+    });
+
+    it('adds specials, climbing and the moves left', () => {
+        const scores = new ScoreSystem();
+
+        scores.startMove();
+        scores.scoreClear(4, 1);
+        scores.scoreClimb(2);
+        scores.scoreMovesLeft(5);
+
+        assert.strictEqual(scores.score,
+            4 * CONFIG.SCORING.TILE + CONFIG.SCORING.SPECIAL + 2 * CONFIG.SCORING.CLIMB + 5 * CONFIG.SCORING.MOVE_BONUS);
+    });
+
+    it('counts the star thresholds a score reaches', () => {
+        const scores = new ScoreSystem();
+        scores.initialize([100, 200, 300]);
+
+        assert.strictEqual(scores.getStars(99), 0);
+        assert.strictEqual(scores.getStars(200), 2);
+        assert.strictEqual(scores.getStars(1000), 3);
+
+        scores.initialize();
+        assert.strictEqual(scores.getStars(1000), 0);
+    });
+});
+
+describe('GameEngine scoring', () => {
+    it('scores the clear, the climb and the moves left at the win', () => {
+        const engine = new GameEngine({ ...EXIT_ABOVE, stars: [1, 1000, 1000000] }, 1);
+
+        const events = plain(engine.swap(0, 2, 0, 3));
+        const scored = events.filter(event => event.type === 'scored');
+        const won = events[events.length - 1];
+
+        assert.deepStrictEqual(scored[0], {
+            type: 'scored', reason: 'clear', points: 3 * CONFIG.SCORING.TILE, combo: 1, score: 3 * CONFIG.SCORING.TILE
+        });
+        assert.strictEqual(scored.find(event => event.reason === 'climb').points, CONFIG.SCORING.CLIMB);
+        assert.strictEqual(scored[scored.length - 1].points, 19 * CONFIG.SCORING.MOVE_BONUS);
+        assert.strictEqual(won.score, scored[scored.length - 1].score);
+        assert.strictEqual(won.stars, 2);
+    });
+
+    it('raises the combo for each cascade', () => {
+        // The reds in the first column clear, the blue on top drops into a row of blues -
+        // nothing refills, so the cascade is the same every time
+        const level = createLevel('BEGY/R@YG/RGYR/BRBY', { noSpawnColumns: [0, 1, 2, 3] });
+        const engine = new GameEngine(level, 1);
+
+        const clears = plain(engine.swap(0, 3, 1, 3))
+            .filter(event => event.type === 'scored' && event.reason === 'clear');
+
+        assert.deepStrictEqual(clears.map(({ combo, points }) => ({ combo, points })), [
+            { combo: 1, points: 3 * CONFIG.SCORING.TILE },
+            { combo: 2, points: 3 * CONFIG.SCORING.TILE * 2 }
+        ]);
+    });
+
+    it('puts the score back when a snapshot is restored', () => {
+        const engine = new GameEngine(createLevel('GYBE/R@YB/RBGY/GRRB'), 1);
+        const snapshot = engine.createSnapshot();
+
+        engine.swap(0, 2, 0, 3);
+        assert.ok(engine.getResult().score > 0);
+
+        engine.restoreSnapshot(snapshot);
+        assert.strictEqual(engine.getResult().score, 0);
+    });
+});
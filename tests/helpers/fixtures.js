@@ -0,0 +1,189 @@
+/**
+ * Test Fixtures
+ * Builds boards from ASCII fixtures and loads the rule classes headlessly
+ *
+ * Fixture rows are separated by "/" (or new lines), one character per cell:
+ *   R B G Y P   colored tiles (CONFIG.TILE_CODES)
+ *   .           empty cell
+ *   #           stone
+ *   %           crackable stone
+ *   X           crate
+ *   S           slime
+ *   @           a character (numbered row by row)
+ *   E           an exit
+ *
+ * Ice, locks, chains, specials and blocker hit points are added by position:
+ *   { ice: { '1,2': 2 }, locked: ['0,0'], chains: { '2,2': 1 }, specials: { '3,1': 'bomb' }, hits: { '4,0': 2 } }
+ */
+
+const { loadGameScripts, ENGINE_SCRIPTS } = require('../../tools/loadGameScripts');
+
+const game = loadGameScripts(ENGINE_SCRIPTS, [
+    'CONFIG', 'SeededRandom', 'Tile', 'GridManager', 'DamageSystem', 'MatchResolver',
+    'GravitySystem', 'CharacterController', 'HazardSystem', 'ScoreSystem', 'ObjectiveSystem', 'GameEngine'
+]);
+
+const { CONFIG, Tile, GridManager, MatchResolver, GravitySystem, CharacterController, HazardSystem, SeededRandom } = game;
+
+const SYMBOLS = {
+    '.': CONFIG.TILE_TYPES.EMPTY,
+    '#': CONFIG.TILE_TYPES.STONE,
+    '%': CONFIG.TILE_TYPES.CRACKABLE,
+    'X': CONFIG.TILE_TYPES.CRATE,
+    'S': CONFIG.TILE_TYPES.SLIME,
+    'E': CONFIG.TILE_TYPES.EXIT
+};
+
+/**
+ * Split a fixture into rows
+ * @param {string} fixture - ASCII board
+ * @returns {string[]}
+ */
+function parseRows(fixture) {
+    return fixture.trim().split(/[/\n]/).map(row => row.trim());
+}
+
+/**
+ * Build a board from a fixture
+ * @param {string} fixture - ASCII board
+ * @param {Object} options - { ice, locked, chains, specials, hits, hazards, escapeQuota, spawners, noSpawnColumns, seed, tileTypes }
+ * @returns {Object} { grid, resolver, gravity, character, hazards }
+ */
+function createBoard(fixture, {
+    ice = {}, locked = [], chains = {}, specials = {}, hits = {}, hazards = [], escapeQuota, spawners, noSpawnColumns,
+    seed = 1, tileTypes = CONFIG.MATCHABLE_COLORS
+} = {}) {
+    const rows = parseRows(fixture);
+    const grid = new GridManager(rows[0].length, rows.length, new SeededRandom(seed));
+    const starts = [];
+    const exits = [];
+
+    grid.tileTypes = tileTypes;
+    grid.grid = rows.map((row, y) => [...row].map((code, x) => {
+        if (code === '@') {
+            starts.push({ x, y });
+            return new Tile(CONFIG.TILE_TYPES.EMPTY, x, y);
+        }
+        if (code === 'E') {
+            exits.push({ x, y });
+        }
+
+        const type = CONFIG.TILE_CODES[code] || SYMBOLS[code];
+        if (!type) throw new Error(`Unknown fixture code "${code}" at ${x},${y}`);
+        return new Tile(type, x, y);
+    }));
+
+    Object.entries(ice).forEach(([key, layers]) => tileAt(grid, key).addIce(layers));
+    locked.forEach(key => tileAt(grid, key).lock());
+    Object.entries(chains).forEach(([key, layers]) => tileAt(grid, key).addChains(layers));
+    Object.entries(hits).forEach(([key, hitPoints]) => {
+        tileAt(grid, key).hitPoints = hitPoints;
+    });
+    Object.entries(specials).forEach(([key, type]) => tileAt(grid, key).setSpecial(type));
+
+    grid.exitPositions = exits;
+    grid.characterPositions = [];
+
+    const character = new CharacterController(grid);
+    character.initialize(starts, exits, escapeQuota);
+
+    const hazardSystem = new HazardSystem(grid, new SeededRandom(seed));
+    hazardSystem.initialize(hazards);
+
+    const gravity = new GravitySystem(grid);
+    gravity.initialize({ spawners, noSpawnColumns });
+
+    return {
+        grid,
+        resolver: new MatchResolver(grid),
+        gravity,
+        character,
+        hazards: hazardSystem
+    };
+}
+
+/**
+ * Get the tile at an "x,y" key
+ * @param {GridManager} grid - Grid
+ * @param {string} key - "x,y"
+ * @returns {Tile}
+ */
+function tileAt(grid, key) {
+    const [x, y] = key.split(',').map(Number);
+    return grid.getTile(x, y);
+}
+
+/**
+ * Draw a grid back as a fixture string
+ * @param {GridManager} grid - Grid
+ * @returns {string}
+ */
+function toFixture(grid) {
+    const codes = Object.fromEntries(Object.entries({ ...CONFIG.TILE_CODES, ...SYMBOLS }).map(([code, type]) => [type, code]));
+
+    return grid.grid.map((row, y) => row.map((tile, x) => {
+        if (grid.isCharacterAt(x, y)) return '@';
+        return codes[tile.type] ?? '?';
+    }).join('')).join('/');
+}
+
+/**
+ * Build a level configuration from a fixture (colors become the initial layout).
+ * One @ and one E become characterStart and exitPosition, more become characters and exits
+ * @param {string} fixture - ASCII board with at least one @ and one E
+ * @param {Object} extra - Extra level properties
+ * @returns {Object} Level configuration
+ */
+function createLevel(fixture, extra = {}) {
+    const rows = parseRows(fixture);
+    const level = {
+        id: 1,
+        name: 'Fixture',
+        gridWidth: rows[0].length,
+        gridHeight: rows.length,
+        blockers: [],
+        tileTypes: ['red', 'blue', 'green', 'yellow'],
+        initialLayout: [],
+        ...extra
+    };
+
+    const starts = [];
+    const exits = [];
+
+    rows.forEach((row, y) => {
+        level.initialLayout.push([...row].map((code, x) => {
+            if (code === '@') starts.push({ x, y });
+            if (code === 'E') exits.push({ x, y });
+            if (code === '#') level.blockers.push({ type: 'stone', x, y });
+            return CONFIG.TILE_CODES[code] ? code : '.';
+        }).join(''));
+    });
+
+    if (starts.length === 1) level.characterStart = starts[0];
+    else level.characters = starts;
+
+    if (exits.length === 1) level.exitPosition = exits[0];
+    else level.exits = exits;
+
+    return level;
+}
+
+/**
+ * Copy a value out of the game's vm context so deepStrictEqual can compare it
+ * @param {*} value - Value created by game code
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Sort {x, y} positions row by row
+ * @param {Object[]} positions - Array of {x, y}
+ * @returns {Object[]}
+ */
+function sortPositions(positions) {
+    return plain(positions).sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+module.exports = { ...game, createBoard, createLevel, toFixture, tileAt, plain, sortPositions };
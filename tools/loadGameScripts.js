@@ -0,0 +1,48 @@
+/**
+ * Game Script Loader
+ * Runs the game's browser scripts inside a Node vm context so the classes
+ * they declare can be used headlessly (no DOM required for the rule code)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Scripts the GameEngine needs, in index.html order
+const ENGINE_SCRIPTS = [
+    'js/config.js',
+    'js/utils/SeededRandom.js',
+    'js/entities/Tile.js',
+    'js/entities/Character.js',
+    'js/managers/GridManager.js',
+    'js/managers/DamageSystem.js',
+    'js/managers/MatchResolver.js',
+    'js/managers/GravitySystem.js',
+    'js/managers/CharacterController.js',
+    'js/managers/HazardSystem.js',
+    'js/managers/ScoreSystem.js',
+    'js/managers/ObjectiveSystem.js',
+    'js/engine/GameEngine.js'
+];
+
+/**
+ * Run browser scripts in a fresh context and pull out their globals
+ * @param {string[]} files - Script paths relative to the repo root, in index.html order
+ * @param {string[]} names - Global names to return
+ * @returns {Object} Map of name -> value
+ */
+function loadGameScripts(files, names) {
+    const context = vm.createContext({ console });
+
+    files.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+
+    // Top-level class/const declarations aren't properties of the context, so read them by name
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadGameScripts, ENGINE_SCRIPTS, ROOT };
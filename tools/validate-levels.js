@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Level Pack Validator (command line)
+ * Usage: node tools/validate-levels.js [pack.json ...]
+ * Checks levels/levels.json when no files are given. Exits with 1 if any pack is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadGameScripts, ROOT } = require('./loadGameScripts');
+
+const { levelValidator, LevelValidator } = loadGameScripts(
+    ['js/config.js', 'js/utils/LevelValidator.js'],
+    ['levelValidator', 'LevelValidator']
+);
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    files.push(path.join(ROOT, 'levels/levels.json'));
+}
+
+let failed = false;
+
+files.forEach(file => {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        failed = true;
+        return;
+    }
+
+    const errors = levelValidator.validatePack(data);
+
+    if (errors.length === 0) {
+        const count = Array.isArray(data) ? data.length : data.levels.length;
+        console.log(`${file}: ${count} levels OK`);
+    } else {
+        failed = true;
+        console.error(`${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+        errors.forEach(error => console.error(`  ${LevelValidator.formatError(error)}`));
+    }
+});
+
+process.exit(failed ? 1 : 0);